@@ -6,9 +6,12 @@ import { updateShaderUniforms } from "./modules/ShaderUniforms.js";
 import InputManager from "./modules/InputManager.js";
 import CameraController from "./modules/CameraController.js";
 import LightHandler from "./modules/LightHandler.js";
-import AnimationSystem from "./modules/AnimationSystem.js";
-import CollisionSystem from "./modules/CollisionSystem.js";
-import RGMController from "./modules/RGMController.js";
+import Simulation from "./modules/Simulation.js";
+import { buildRGMObjects, bindMeshes } from "./modules/RGMObjects.js";
+import { loadMachine } from "./modules/MachineDescription.js";
+import { SimulationRecorder, ReplayPlayer } from "./modules/Replay.js";
+import TimelineOverlay from "./modules/TimelineOverlay.js";
+import MachineEditor from "./modules/MachineEditor.js";
 
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x202025);
@@ -52,105 +55,18 @@ const shadingState = {
 };
 
 // systems (filled in init)
-let graphsGlobal = null;
+let sceneGraph = null;
 let inputManager = null;
 let cameraController = null;
 let lightHandler = null;
 let controller = null;
-let animationSystem = null;
-let collisionSystem = null;
+let simulation = null;
 let rgmObjects = null;
-
-// rgmObjects builder
-function buildRGMObjects(graphs) {
-  const rgm = {};
-
-  // --- Balls ---
-  const b1Phong   = graphs.phong.objects.ball1;
-  const b1Gouraud = graphs.gouraud.objects.ball1;
-  const b1Blinn   = graphs.blinn.objects.ball1;
-
-  rgm.ball1 = {
-    meshes: {
-      phong:   b1Phong,
-      gouraud: b1Gouraud,
-      blinn:   b1Blinn,
-    },
-    position: b1Phong.position.clone(),
-    velocity: new THREE.Vector3(),
-    radius: 0.3,
-    active: true,
-  };
-
-  const b2Phong   = graphs.phong.objects.ball2;
-  const b2Gouraud = graphs.gouraud.objects.ball2;
-  const b2Blinn   = graphs.blinn.objects.ball2;
-
-  rgm.ball2 = {
-    meshes: {
-      phong:   b2Phong,
-      gouraud: b2Gouraud,
-      blinn:   b2Blinn,
-    },
-    position: b2Phong.position.clone(),
-    velocity: new THREE.Vector3(),
-    radius: 0.35,
-    active: false,
-  };
-
-  // --- Dominos ---
-  const dominosPhong   = graphs.phong.objects.dominos;
-  const dominosGouraud = graphs.gouraud.objects.dominos;
-  const dominosBlinn   = graphs.blinn.objects.dominos;
-
-  rgm.dominos = dominosPhong.map((meshPhong, i) => ({
-    meshes: {
-      phong:   meshPhong,
-      gouraud: dominosGouraud[i],
-      blinn:   dominosBlinn[i],
-    },
-    angle: 0,
-    angularVelocity: 0,
-    fallen: false,
-  }));
-
-  // --- Pendulum ---
-  const pendPhong   = graphs.phong.objects.pendulum;
-  const pendGouraud = graphs.gouraud.objects.pendulum;
-  const pendBlinn   = graphs.blinn.objects.pendulum;
-
-  rgm.pendulum = {
-    length: 3,
-    angle: 0,
-    angularVelocity: 0,
-    active: false,
-    pivotMeshes: {
-      phong:   pendPhong.pivot,
-      gouraud: pendGouraud.pivot,
-      blinn:   pendBlinn.pivot,
-    },
-    bobMeshes: {
-      phong:   pendPhong.bob,
-      gouraud: pendGouraud.bob,
-      blinn:   pendBlinn.bob,
-    }
-  };
-
-  // --- Ramp ---
-  const rampPhong   = graphs.phong.objects.ramp;
-  const rampGouraud = graphs.gouraud.objects.ramp;
-  const rampBlinn   = graphs.blinn.objects.ramp;
-
-  rgm.ramp = {
-    meshes: {
-      phong:   rampPhong,
-      gouraud: rampGouraud,
-      blinn:   rampBlinn,
-    }
-  };
-
-  return rgm;
-}
+let recorder = null;
+let replay = null; // ReplayPlayer while watching the recording, else null
+let timeline = null;
+let editor = null;
+let machine = null; // description the running simulation was built from
 
 //----------------------------------------init------------------------------------------
 async function init() {
@@ -160,19 +76,12 @@ async function init() {
   // Create MaterialFactory with LightHandler
   const materialFactory = await MaterialFactory.create(lightHandler);
   
-  const sceneGraph = new SceneGraph(materialFactory);
-  const graphs = sceneGraph.build(scene);
-  graphsGlobal = graphs;
-
-  console.log("[init] graphs keys:", Object.keys(graphs));
+  const description = await loadMachine("./machines/classic.json");
+  console.log(`[init] machine: ${description.name} (${description.parts.length} parts)`);
 
-  // Initial visibility: blinn on, others off
-  shadingState.currentMode = "blinn";
-  graphs.blinn.root.visible   = true;
-  graphs.phong.root.visible   = false;
-  graphs.gouraud.root.visible = false;
-
-  rgmObjects = buildRGMObjects(graphs);
+  // One graph; the shading mode only swaps materials (P cycles it)
+  sceneGraph = new SceneGraph(materialFactory);
+  buildWorld(description);
 
   // Initialize Camera Controller
   cameraController = new CameraController(
@@ -186,10 +95,27 @@ async function init() {
   activeCamera = cameraController.getActiveCamera();
 
   // Systems
-  inputManager    = new InputManager(activeCamera, graphs, shadingState, lightHandler);
-  controller      = new RGMController(rgmObjects);
-  animationSystem = new AnimationSystem(rgmObjects);
-  collisionSystem = new CollisionSystem(rgmObjects, { debugBounds: true });
+  inputManager = new InputManager(activeCamera, sceneGraph, shadingState, lightHandler);
+
+  // Stage timeline; dragging its scrubber replays the run from that moment
+  timeline = new TimelineOverlay({
+    onSeek: (time) => {
+      if (!replay) startReplay();
+      replay.pause();
+      replay.seek(time);
+    },
+  });
+
+  // In-scene editor (G): pick, move and resize parts, save the machine
+  editor = new MachineEditor({
+    scene,
+    camera: activeCamera,
+    canvas: renderer.domElement,
+    sceneGraph,
+    cameraController,
+    onRebuild: (edited) => buildWorld(edited),
+  });
+  editor.setWorld(machine, simulation);
 
   // Set up keyboard controls
   setupControls();
@@ -210,6 +136,43 @@ async function init() {
   animate();
 }
 
+/**
+ * Builds the scene graph, physics bodies, simulation and recording from a
+ * machine description; at start-up and again after every editor change.
+ * The new run starts at time 0 with the previous paused flag and time scale.
+ * @param {Object} description - validated machine description
+ */
+function buildWorld(description) {
+  machine = description;
+  const graph = sceneGraph.build(scene, machine, shadingState.currentMode);
+
+  // Physics bodies own the state; the graph's meshes are views of them
+  rgmObjects = buildRGMObjects(machine);
+  bindMeshes(rgmObjects, graph);
+
+  // Fixed 240 Hz simulation step, independent of the frame rate
+  const previous = simulation;
+  simulation = new Simulation(rgmObjects, machine, {
+    rate: 240,
+    maxSubsteps: 16,
+    debugBounds: true,
+  });
+  if (previous) {
+    if (previous.paused) simulation.pause();
+    simulation.setTimeScale(previous.timeScale);
+  }
+  simulation.animationSystem.resetMeshes();
+  controller = simulation.controller;
+
+  // Record every step so the run can be replayed, scrubbed and saved
+  recorder = new SimulationRecorder(simulation);
+  recorder.start();
+  replay = null;
+
+  if (cameraController) cameraController.rgmObjects = rgmObjects;
+  if (editor) editor.setWorld(machine, simulation);
+}
+
 function setupControls() {
   // Keyboard controls
   document.addEventListener('keydown', (e) => {
@@ -238,6 +201,50 @@ function setupControls() {
     if (e.key === 'e' || e.key === 'E') {
       cameraController.rotateFollowCamera(0.05); // Rotate right
     }
+
+    // Simulation controls
+    if (e.key === ' ') {
+      e.preventDefault();
+      if (replay) {
+        if (replay.playing) replay.pause();
+        else replay.play();
+      } else {
+        if (simulation.paused) simulation.resume();
+        else simulation.pause();
+        console.log(`[Simulation] ${simulation.paused ? 'Paused' : 'Running'}`);
+      }
+    }
+    if (e.key === 'r' || e.key === 'R') {
+      replay = null;
+      simulation.reset();
+      console.log('[Simulation] Reset');
+    }
+    if (e.key === 'n' || e.key === 'N') {
+      if (replay) {
+        replay.pause();
+        replay.seekFrame(replay.frame + 1);
+      } else {
+        simulation.pause();
+        simulation.step(1);
+      }
+    }
+    if (e.key === '[' || e.key === ']') {
+      const scale = e.key === '[' ? simulation.timeScale / 2 : simulation.timeScale * 2;
+      simulation.setTimeScale(Math.min(Math.max(scale, 1 / 16), 4));
+      console.log(`[Simulation] Time scale: ${simulation.timeScale}x`);
+    }
+
+    // Replay of the recorded run
+    if (e.key === 'v' || e.key === 'V') toggleReplay();
+    if (replay && (e.key === ',' || e.key === '.')) {
+      replay.pause();
+      replay.seek(replay.time + (e.key === ',' ? -0.25 : 0.25));
+    }
+    if (e.key === 'k' || e.key === 'K') saveRecording();
+
+    // Editor
+    if (e.key === 'g' || e.key === 'G') editor.toggle();
+    if ((e.key === 't' || e.key === 'T') && editor.enabled) editor.cycleMode();
   });
 
   console.log("\n=== CONTROLS ===");
@@ -250,6 +257,18 @@ function setupControls() {
   console.log("  C - Switch Camera Mode (Orbit/Follow)");
   console.log("  Mouse Drag - Rotate Orbit Camera (Orbit Mode)");
   console.log("  Q/E - Rotate Follow Camera Left/Right (Follow Mode)");
+  console.log("\nSIMULATION:");
+  console.log("  Space - Pause/Resume");
+  console.log("  N - Step One Simulation Step (pauses)");
+  console.log("  R - Reset Machine");
+  console.log("  [ / ] - Slower/Faster (1/16x to 4x)");
+  console.log("\nREPLAY:");
+  console.log("  V - Watch Recording / Back to Live Run");
+  console.log("  , / . - Scrub Back/Forward 0.25s (Replay)");
+  console.log("  K - Save Recording as JSON");
+  console.log("\nEDITOR:");
+  console.log("  G - Open/Close Editor (click a part to select it)");
+  console.log("  T - Gizmo Mode: Move / Turn / Resize");
   console.log("================\n");
 }
 
@@ -260,11 +279,14 @@ function animate() {
 
   // Update input
   if (inputManager) inputManager.update(dt);
+  if (editor) editor.update(activeCamera);
   
-  // Update animations and physics
-  animationSystem.update(dt, controller.state);
-  collisionSystem.update(dt);
-  controller.update(dt, collisionSystem.events);
+  // Update animations and physics in fixed steps, then place the meshes
+  // between the last two steps (or show the recorded frame when replaying)
+  if (replay) replay.advance(dt);
+  else simulation.advance(dt);
+
+  updateTimeline();
 
   // Determine which object is currently active for tracking
   const activeObject = getActiveObject();
@@ -291,57 +313,91 @@ function animate() {
 }
 
 /**
- * Gets the currently active moving object based on controller state
+ * Switches between the live run and a replay of everything recorded so far.
+ * Leaving the replay puts the machine back on the last recorded frame, so
+ * the live run carries on where it was.
+ */
+function toggleReplay() {
+  if (replay) {
+    replay.seekFrame(replay.frameCount - 1);
+    replay = null;
+    console.log('[Replay] Live');
+    return;
+  }
+
+  startReplay();
+  replay.seek(0);
+  replay.play();
+}
+
+function startReplay() {
+  replay = new ReplayPlayer(simulation, recorder.toLog({ precision: null }));
+  console.log(`[Replay] ${replay.duration.toFixed(2)}s recorded`);
+}
+
+function updateTimeline() {
+  let mode = simulation.paused ? "PAUSED" : "LIVE";
+  if (replay) mode = replay.playing ? "REPLAY" : "REPLAY (paused)";
+
+  timeline.update({
+    time: replay ? replay.time : recorder.duration,
+    duration: recorder.duration,
+    state: controller.state,
+    stages: recorder.stateChanges(),
+    mode,
+    outcome: controller.outcome,
+  });
+}
+
+/**
+ * Downloads the recording as a replay log (see Replay.js).
+ */
+function saveRecording() {
+  const blob = new Blob([JSON.stringify(recorder.toLog())], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `rgm-replay-${Date.now()}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Gets the currently active moving object: the focus part of the
+ * controller's latest stage
  */
 function getActiveObject() {
   if (!lightHandler || !controller) return null;
 
-  const state = controller.state;
+  const focus = controller.getFocusPart();
+  if (!focus) {
+    // No active object, point at scene center
+    return null;
+  }
 
-  if (state === 'BALL1_ROLLING' || state === 'BALL1_FALLING') {
-      // Track ball1
-      const mode = shadingState.currentMode;
-      const ball1Mesh = graphsGlobal[mode].objects.ball1;
-      if (ball1Mesh) {
-        return(ball1Mesh);
+  // a part, or one element of it ("<id>.<index>")
+  const [id, index] = focus.split(".");
+  let mesh = sceneGraph.graph.objects[id];
+  if (mesh && index !== undefined) mesh = (mesh.elements || mesh)[Number(index)];
+
+  if (Array.isArray(mesh)) {
+    // Track falling domino using number of fallen dominos and set it to that domino's position
+    const dominos = rgmObjects[focus];
+    let lastFallenIndex = -1;
+    for (let i = 0; i < dominos.length; i++) {
+      if (dominos[i].fallen) {
+        lastFallenIndex = i;
       }
-    } else if (state === 'DOMINOS_FALLING') {
-      const mode = shadingState.currentMode;
-      const dominos = rgmObjects.dominos;
-      const meshDominos    = graphsGlobal[mode].objects.dominos; 
-      if (dominos && dominos.length > 0) {
-        // Track falling domino using number of fallen dominos and set it to that domino's position
-         let lastFallenIndex = -1;
-          for (let i = 0; i < dominos.length; i++) {
-            if (dominos[i].fallen) {
-              lastFallenIndex = i;
-            }
-          }
-  
-      if (lastFallenIndex >= 0) {
-          const targetMesh = meshDominos[lastFallenIndex];
-          return(targetMesh);
-        }
-      }      
-      
-    } else if (state === 'PENDULUM_SWINGING') {
-      // Track pendulum bob
-      const mode = shadingState.currentMode;
-      const pendulum = graphsGlobal[mode].objects.pendulum;
-      if (pendulum && pendulum.bob) {
-        return(pendulum.bob);
-      }
-    } else if (state === 'BALL2_ROLLING') {
-      // Track ball2
-      const mode = shadingState.currentMode;
-      const ball2Mesh = graphsGlobal[mode].objects.ball2;
-      if (ball2Mesh) {
-        return(ball2Mesh);
-      }
-    } else {
-      // No active object, point at scene center
-      return null;
     }
+    return lastFallenIndex >= 0 ? mesh[lastFallenIndex] : null;
+  }
+
+  // Track pendulum bob
+  if (mesh && mesh.bob) return mesh.bob;
+
+  // parts moving through a pivot (seesaw plank, plunger head, pulley end)
+  if (mesh && mesh.pivot) return mesh.pivot;
+
+  return mesh && mesh.isObject3D ? mesh : null;
 }
 
 init().catch((err) => console.error(err));
\ No newline at end of file
@@ -0,0 +1,127 @@
+// headless.js
+// Runs the machine in Node without a canvas, renderer or WebGL context, for
+// CI and for tuning machine descriptions. The scene graph is still built,
+// with stub materials (no shaders or textures), and bound to the bodies, so
+// every part's build() and the mesh views run as they do in the browser:
+//
+//   node headless.js [machine.json] [--seconds 20] [--expect STAGE]...
+//                    [--record run.json] [--compare baseline.json]
+//                    [--check-reset]
+//
+// Prints every stage the controller enters with its simulated time, and the
+// outcome of the run (success / failure from a terminal stage, or
+// unfinished). With --expect, exits with code 1 unless every listed stage
+// was reached. --record saves the run as a replay log (see Replay.js);
+// --compare checks the run against a saved log and exits with code 1 at the
+// first difference. --check-reset resets the machine after the run and
+// checks that the recording starts over: a replay of it must begin in the
+// initial stages.
+// Run `npm install` in this folder first: package.json pins three@0.161.0,
+// the version index.html loads. `npm run headless -- [args]` runs this file.
+import * as THREE from "three";
+import { readFileSync, writeFileSync } from "node:fs";
+import SceneGraph from "./modules/SceneGraph.js";
+import MaterialFactory from "./modules/MaterialFactory.js";
+import Simulation from "./modules/Simulation.js";
+import { buildRGMObjects, bindMeshes } from "./modules/RGMObjects.js";
+import { validateMachine } from "./modules/MachineDescription.js";
+import { SimulationRecorder, ReplayPlayer, diffLogs } from "./modules/Replay.js";
+
+function parseArgs(argv) {
+  const args = {
+    machine: new URL("./machines/classic.json", import.meta.url),
+    seconds: 20,
+    expect: [],
+    recordTo: null,
+    compareWith: null,
+    checkReset: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--seconds") args.seconds = Number(argv[++i]);
+    else if (arg === "--expect") args.expect.push(argv[++i]);
+    else if (arg === "--record") args.recordTo = argv[++i];
+    else if (arg === "--compare") args.compareWith = argv[++i];
+    else if (arg === "--check-reset") args.checkReset = true;
+    else args.machine = arg;
+  }
+  return args;
+}
+
+function run({ machine: machinePath, seconds, expect, recordTo, compareWith, checkReset }) {
+  const machine = validateMachine(JSON.parse(readFileSync(machinePath, "utf8")));
+
+  const graph = new SceneGraph(MaterialFactory.createHeadless()).build(new THREE.Scene(), machine);
+  const rgmObjects = buildRGMObjects(machine);
+  bindMeshes(rgmObjects, graph);
+  const simulation = new Simulation(rgmObjects, machine);
+  const recorder = new SimulationRecorder(simulation);
+  recorder.start();
+
+  const reached = new Map(); // stage -> time first entered
+  const record = () => {
+    simulation.controller.activeStages.forEach((stage) => {
+      if (!reached.has(stage)) reached.set(stage, simulation.time);
+    });
+  };
+
+  record();
+  const steps = Math.round(seconds / simulation.loop.step);
+  for (let i = 0; i < steps; i++) {
+    simulation.step(1);
+    record();
+  }
+
+  console.log(`\n=== ${machine.name}: ${seconds}s, ${steps} steps ===`);
+  reached.forEach((time, stage) => {
+    console.log(`  ${time.toFixed(3).padStart(8)}s  ${stage}`);
+  });
+  console.log(`  final state: ${simulation.state}`);
+  console.log(`  outcome: ${simulation.outcome || "unfinished"}`);
+
+  const log = recorder.toLog();
+  if (recordTo) {
+    writeFileSync(recordTo, JSON.stringify(log));
+    console.log(`  recorded ${log.frames.length} frames to ${recordTo}`);
+  }
+  if (compareWith) {
+    const diff = diffLogs(JSON.parse(readFileSync(compareWith, "utf8")), log);
+    if (diff) {
+      console.error(`Differs from ${compareWith} at ${diff.time.toFixed(3)}s: ${diff.reason}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`  matches ${compareWith}`);
+    }
+  }
+
+  const missing = expect.filter((stage) => !reached.has(stage));
+  if (missing.length > 0) {
+    console.error(`Stages never reached: ${missing.join(", ")}`);
+    process.exitCode = 1;
+  }
+
+  if (checkReset) checkResetReplay(simulation, recorder);
+}
+
+// reset, then replay what was recorded since: only the initial state
+function checkResetReplay(simulation, recorder) {
+  simulation.reset();
+
+  const { stageDefs } = simulation.controller;
+  const initial = Object.keys(stageDefs).filter((name) => stageDefs[name].initial).join();
+  const replay = new ReplayPlayer(simulation, recorder.toLog({ precision: null }));
+  replay.seekFrame(0);
+  const stages = simulation.controller.activeStages.join();
+
+  if (replay.frameCount !== 1 || stages !== initial) {
+    console.error(
+      `Reset check failed: replay has ${replay.frameCount} frames, starts in [${stages}] instead of [${initial}]`
+    );
+    process.exitCode = 1;
+  } else {
+    console.log("  reset check: replay starts over in the initial stages");
+  }
+}
+
+run(parseArgs(process.argv.slice(2)));
@@ -1,114 +1,807 @@
 // AnimationSystem.js
 import * as THREE from "three";
-import { RGMState } from "./RGMController.js";
+import { sphereVsShape } from "./Contacts.js";
+
+// below this approach speed a contact does not bounce (keeps resting balls still)
+const RESTING_SPEED = 0.5;
+
+// domino contact solver
+const DOMINO_ITERATIONS = 4;
+const DOMINO_BAUMGARTE = 0.2; // fraction of the overlap removed per step
+const DOMINO_SLOP = 0.002;    // overlap left alone so resting contacts stay put
+
+// ball-to-ball contact passes, so an impact runs down a row of touching balls
+const BALL_ITERATIONS = 4;
+
+// gap up to which a ball counts as resting against a plunger head
+const SPRING_MARGIN = 0.005;
+
+// rope solver
+const ROPE_ITERATIONS = 4;
+const ROPE_SLOP = 0.001; // slack up to which a rope still counts as taut
+
+const _tangent = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _local = new THREE.Vector3();
+const _edgeStart = new THREE.Vector3();
+const _edgeEnd = new THREE.Vector3();
+const _hinge = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _arm = new THREE.Vector3();
+const _force = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _velocity = new THREE.Vector3();
+const _surfaceVelocity = new THREE.Vector3();
+const _inverse = new THREE.Matrix4();
+const _matrix = new THREE.Matrix4();
+const _zAxis = new THREE.Vector3(0, 0, 1);
+const _unitScale = new THREE.Vector3(1, 1, 1);
+const _down = new THREE.Vector3(0, -1, 0);
+const _directions = [new THREE.Vector3(), new THREE.Vector3()];
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _spin = new THREE.Vector3();
 
 export default class AnimationSystem {
   constructor(rgmObjects) {
     this.rgm = rgmObjects;
     this.gravity = new THREE.Vector3(0, -9.8, 0);
-  
-    const theta = -0.4;
-    // tangent direction along ramp
-    this.tangent = new THREE.Vector3(Math.cos(theta), Math.sin(theta), 0);
-    // gravitational acceleration component along ramp
-    this.accel = this.tangent.multiplyScalar(-9.8 * Math.sin(theta));
-  
+
+    this._updatePoses();
+    this.snapshot();
   }
 
-  update(dt, state) {
+  /**
+   * One fixed simulation step. Body poses are brought up to date for the
+   * CollisionSystem; the meshes follow in render().
+   */
+  update(dt) {
+    this.snapshot();
 
     //console.log("animate");
-    this._updateBall(this.rgm.ball1, dt,state);
-    //console.log("_updateBall");
-    this._updateBall(this.rgm.ball2, dt,state);
+    this.rgm.balls.forEach((ball) => this._updateBall(ball, dt));
+    this._updateBallContacts();
     //console.log("_updateBall");
-    this._updatePendulum(dt,state);
+    this.rgm.pendulums.forEach((p) => this._updatePendulum(p, dt));
     //console.log("_updatePendulum");
     this._updateDominos(dt);
-    this._syncAllMeshes();
-    //console.log("_syncAllMeshes");
+    this._updateLevers(dt);
+    this._updateSprings(dt);
+    this._updateRopes(dt);
+    this._updateBelts(dt);
+    this._updatePoses();
   }
 
-  _updateBall(ball, dt,state) {
+  // Semi-implicit Euler under gravity (turning the ball by its angular
+  // velocity as well), then push the ball out of every surface it touches.
+  // The ball follows whatever it lands on (plank, ramp, ground, hoop rim)
+  // regardless of the controller's stage.
+  _updateBall(ball, dt) {
     if (!ball.active) return;
-    //console.log(state)
-    if (state == RGMState.BALL1_ROLLING){
-      
-    } else if (state == RGMState.BALL1_FALLING){
-      //add downward component g * sin^2 (theta) and horizontal component g * sin(theta) * cos(theta)
-      ball.velocity.addScaledVector(this.accel, dt);
-    } else if (state == RGMState.BALL2_ROLLING){
-      if (ball.position.x > 4.5){
-        ball.velocity.addScaledVector(this.gravity,dt)
-      }
-    }
 
+    ball.velocity.addScaledVector(this.gravity, dt);
     ball.position.addScaledVector(ball.velocity, dt);
+
+    const w = ball.angularVelocity.length();
+    if (w > 1e-9) {
+      _quaternion.setFromAxisAngle(_spin.copy(ball.angularVelocity).divideScalar(w), w * dt);
+      ball.quaternion.premultiply(_quaternion).normalize();
+    }
+
+    this.rgm.surfaces.forEach((surface) => {
+      surface.shapes.forEach((shape) => {
+        const contact = sphereVsShape(ball.position, ball.radius, shape);
+        if (contact) this._resolveContact(ball, surface, contact);
+      });
+    });
     //console.log("updated ball")
   }
 
-  _updatePendulum(dt,state) {
-    const p = this.rgm.pendulum;
+  /**
+   * Positional correction plus a velocity impulse along the contact normal
+   * (restitution) and a Coulomb friction impulse along the surface, against
+   * the slip of the ball's contact point relative to the surface's own
+   * velocity (so a belt drags resting balls along). Friction spins the ball
+   * up until it rolls without slipping; rolling friction then slows its
+   * spin. Materials combine like Box2D: max restitution, geometric-mean
+   * friction.
+   */
+  _resolveContact(ball, surface, { normal, depth }) {
+    ball.position.addScaledVector(normal, depth);
+
+    const vn = ball.velocity.dot(normal);
+    if (vn >= 0) return; // already separating
+
+    const restitution = -vn > RESTING_SPEED
+      ? Math.max(ball.restitution, surface.restitution)
+      : 0;
+    const friction = Math.sqrt(ball.friction * surface.friction);
+
+    const jn = -(1 + restitution) * vn;
+    ball.velocity.addScaledVector(normal, jn);
+
+    // tangential part of the surface's velocity, in world space
+    _surfaceVelocity.copy(surface.surfaceVelocity).applyQuaternion(surface.quaternion);
+    _surfaceVelocity.addScaledVector(normal, -_surfaceVelocity.dot(normal));
+
+    const vt = this._slip(ball, normal, _surfaceVelocity, _tangent).length();
+    if (vt > 1e-9) {
+      // friction can stop the slip, never reverse it
+      const jt = Math.min(friction * jn * ball.mass, vt / this._tangentInvMass(ball));
+      this._applyFriction(ball, normal, _tangent.divideScalar(vt), -jt);
+    }
+    this._rollingResistance(ball, normal, jn * ball.mass);
+  }
+
+  /**
+   * Velocity of the ball's contact point (at -radius * normal from its
+   * centre, so spin counts) relative to the surface's velocity, along the
+   * surface; written to `target`.
+   */
+  _slip(ball, normal, surfaceVelocity, target) {
+    target.crossVectors(ball.angularVelocity, normal).multiplyScalar(-ball.radius);
+    target.add(ball.velocity).sub(surfaceVelocity);
+    return target.addScaledVector(normal, -target.dot(normal));
+  }
+
+  // contact point velocity change per unit of impulse along the surface:
+  // the push on the ball plus the spin it gets
+  _tangentInvMass(ball) {
+    return 1 / ball.mass + ball.radius ** 2 / ball.inertia;
+  }
+
+  // impulse `j` along the unit tangent `dir`, at the ball's contact point
+  _applyFriction(ball, normal, dir, j) {
+    ball.velocity.addScaledVector(dir, j / ball.mass);
+    _spin.crossVectors(normal, dir).multiplyScalar((-ball.radius * j) / ball.inertia);
+    ball.angularVelocity.add(_spin);
+  }
+
+  /**
+   * Rolling friction: a torque of rollingFriction * normal force * radius
+   * against the ball's rolling (its spin about axes along the surface).
+   * Sliding friction then slows the ball itself to match.
+   * @param {number} jn - normal impulse of the contact
+   */
+  _rollingResistance(ball, normal, jn) {
+    _spin.copy(ball.angularVelocity).addScaledVector(normal, -ball.angularVelocity.dot(normal));
+    const w = _spin.length();
+    if (w < 1e-9) return;
+    const dw = Math.min(w, (ball.rollingFriction * jn * ball.radius) / ball.inertia);
+    ball.angularVelocity.addScaledVector(_spin, -dw / w);
+  }
+
+  /**
+   * Balls against each other, pair by pair over a few passes (so a hit
+   * travels along a row of touching balls, as in Newton's cradle).
+   */
+  _updateBallContacts() {
+    const balls = this.rgm.balls;
+    for (let iter = 0; iter < BALL_ITERATIONS; iter++) {
+      for (let i = 0; i < balls.length; i++) {
+        for (let j = i + 1; j < balls.length; j++) this._resolveBallContact(balls[i], balls[j]);
+      }
+    }
+  }
+
+  /**
+   * Two spheres: the overlap is split between them by inverse mass, and an
+   * impulse along the line between their centres exchanges momentum with
+   * the combined restitution (1 for perfectly elastic balls). An inactive
+   * ball is held where it is but, like under the pendulum bob, keeps the
+   * velocity it is given for when a trigger activates it.
+   */
+  _resolveBallContact(a, b) {
+    if (!a.active && !b.active) return;
+
+    _normal.subVectors(b.position, a.position);
+    const dist = _normal.length();
+    const depth = a.radius + b.radius - dist;
+    if (depth <= 0 || dist === 0) return;
+    _normal.divideScalar(dist); // from a towards b
+
+    const wa = a.active ? 1 / a.mass : 0;
+    const wb = b.active ? 1 / b.mass : 0;
+    a.position.addScaledVector(_normal, (-depth * wa) / (wa + wb));
+    b.position.addScaledVector(_normal, (depth * wb) / (wa + wb));
+
+    const vn = _velocity.subVectors(b.velocity, a.velocity).dot(_normal);
+    if (vn >= 0) return; // already separating
+
+    const restitution = -vn > RESTING_SPEED ? Math.max(a.restitution, b.restitution) : 0;
+    const j = (-(1 + restitution) * vn) / (1 / a.mass + 1 / b.mass);
+    a.velocity.addScaledVector(_normal, -j / a.mass);
+    b.velocity.addScaledVector(_normal, j / b.mass);
+  }
+
+  /**
+   * Velocity Verlet on θ'' = -(g/L) sin θ, which is symplectic, so an
+   * undamped pendulum keeps its amplitude instead of gaining energy like
+   * explicit Euler. Damping is applied exactly as a decay of ω over the step.
+   * The bob then knocks away any ball it overlaps.
+   */
+  _updatePendulum(p, dt) {
     if (!p.active) return;
 
-    // simple pendulum dynamics around small angle
-    const g = 9.8;
-    const L = p.length;
-    const acc = -(g / L) * Math.sin(p.angle);
+    const g = -this.gravity.y;
+    const accel = (angle) => -(g / p.length) * Math.sin(angle);
+
+    p.angularVelocity += 0.5 * dt * accel(p.angle);
+    p.angle += dt * p.angularVelocity;
+    p.angularVelocity += 0.5 * dt * accel(p.angle);
+    p.angularVelocity *= Math.exp(-p.damping * dt);
+
+    this.rgm.balls.forEach((ball) => this._resolveBobContact(p, ball));
+  }
+
+  /**
+   * Bob (a point mass on a rigid rod) against a ball: an impulse along the
+   * line between their centres, sized by the bob's momentum, both masses
+   * and the combined restitution. The ball takes the impulse even while
+   * inactive, so it starts with it once a trigger activates it.
+   */
+  _resolveBobContact(p, ball) {
+    // the rod in the pendulum's swing plane, turned with its base
+    _arm.set(Math.sin(p.angle), -Math.cos(p.angle), 0)
+      .multiplyScalar(p.length)
+      .applyQuaternion(p.baseQuaternion);
+    _point.copy(p.position).add(_arm); // bob centre
+
+    _normal.subVectors(ball.position, _point);
+    const dist = _normal.length();
+    const depth = p.bobRadius + ball.radius - dist;
+    if (depth <= 0 || dist === 0) return;
+    _normal.divideScalar(dist);
 
-    p.angularVelocity += acc *1* dt;
-    p.angle += p.angularVelocity * 1* dt;
+    ball.position.addScaledVector(_normal, depth);
 
-    //console.log("angle", p.angle);
+    // velocity of the bob and its angular lever along the normal
+    _axis.copy(_zAxis).applyQuaternion(p.baseQuaternion);
+    const k = _force.crossVectors(_arm, _normal).dot(_axis);
+    const inertia = p.bobMass * p.length * p.length;
+    const vn = ball.velocity.dot(_normal) - p.angularVelocity * k;
+    if (vn >= 0) return; // already separating
 
+    const restitution = Math.max(p.restitution, ball.restitution);
+    const j = (-(1 + restitution) * vn) / (1 / ball.mass + (k * k) / inertia);
+
+    ball.velocity.addScaledVector(_normal, j / ball.mass);
+    p.angularVelocity -= (j * k) / inertia;
   }
 
+  /**
+   * Dominos are rigid boxes turning about their leading bottom edge:
+   * gravity acts on the centre of mass (holding an upright domino on its
+   * base until it leans past the edge), and the leading top edge of each
+   * domino pushes on the back face of the dominos it falls onto (`next`,
+   * which branches at a split). Balls push dominos over and get knocked
+   * away by falling ones.
+   */
   _updateDominos(dt) {
-  const lastIndex = this.rgm.dominos.length - 1;
+    this.rgm.dominoRows.forEach((row) => {
+      row.forEach((d) => {
+        d.angularVelocity += (this._gravityTorque(d) / d.inertia) * dt;
+        this._hingePose(d);
+      });
 
-  const lastTarget  = -Math.PI / 2;   // final domino flat on the ground
-  const midTarget   = -(3.6*Math.PI) / 9;   // ~-20°, all others stop here
+      for (let iter = 0; iter < DOMINO_ITERATIONS; iter++) {
+        row.forEach((a) => a.next.forEach((b) => this._resolveDominoContact(a, b, dt)));
+        row.forEach((d) => this.rgm.balls.forEach((ball) => this._resolveDominoBallContact(d, ball)));
+      }
+
+      row.forEach((d) => {
+        d.angle += d.angularVelocity * dt;
+
+        // standing on its base / lying flat on the ground
+        if (d.angle > 0) {
+          d.angle = 0;
+          d.angularVelocity = Math.min(d.angularVelocity, 0);
+        } else if (d.angle < -Math.PI / 2) {
+          d.angle = -Math.PI / 2;
+          d.angularVelocity = Math.max(d.angularVelocity, 0);
+        }
+        if (d.angle < 0) d.fallen = true;
+      });
+    });
+  }
+
+  /**
+   * Ball against a domino: the ball is pushed out of the box, and a normal
+   * impulse shared between the ball's mass and the domino's moment of
+   * inertia about its hinge turns the domino (a domino standing on its base
+   * cannot turn backwards, see _updateDominos). Like the lever, a domino
+   * also knocks inactive balls.
+   */
+  _resolveDominoBallContact(d, ball) {
+    const contact = sphereVsShape(ball.position, ball.radius, d.shape);
+    if (!contact) return;
+    const { point, normal, depth } = contact;
+
+    ball.position.addScaledVector(normal, depth);
 
-  this.rgm.dominos.forEach((d, idx) => {
-    if (!d.fallen) return;
+    // velocity of the domino at the contact point
+    _hinge.setFromMatrixPosition(d.matrix);
+    _axis.setFromMatrixColumn(d.matrix, 2).normalize();
+    _velocity.crossVectors(_axis, _arm.subVectors(point, _hinge)).multiplyScalar(d.angularVelocity);
 
-    d.angle += d.angularVelocity * dt;
+    const k = this._angularJacobian(d, point, normal);
+    const vn = ball.velocity.dot(normal) - _velocity.dot(normal);
+    if (vn >= 0) return; // already separating
+
+    const restitution = -vn > RESTING_SPEED ? Math.max(ball.restitution, d.restitution) : 0;
+    const j = (-(1 + restitution) * vn) / (1 / ball.mass + (k * k) / d.inertia);
+    ball.velocity.addScaledVector(normal, j / ball.mass);
+    d.angularVelocity -= (j * k) / d.inertia;
+  }
 
-    // choose target based on whether this is the last domino
-    const target = (idx === lastIndex) ? lastTarget : midTarget;
+  /**
+   * A lever (seesaw) is a plank on a revolute joint: the hinge keeps the
+   * plank's pivot point and axis fixed, so its one free coordinate is the
+   * `angle` about the hinge axis, held between minAngle and maxAngle.
+   * Gravity acts on the plank's centre of mass, and balls push on it
+   * through contact impulses, which is how a ball landing on one end
+   * throws up a ball resting on the other.
+   */
+  _updateLevers(dt) {
+    this.rgm.levers.forEach((lever) => {
+      lever.angularVelocity += (this._gravityTorque(lever) / lever.inertia) * dt;
+      lever.angularVelocity *= Math.exp(-lever.damping * dt);
+      lever.angle += lever.angularVelocity * dt;
+      this._solveAngleLimits(lever);
 
-    if (d.angle < target) {      // assuming angularVelocity is negative
-      d.angle = target;
-      d.angularVelocity = 0;
+      // contacts at the new pose, like the balls against static surfaces
+      this._hingePose(lever);
+      this.rgm.balls.forEach((ball) => this._resolveLeverContact(lever, ball));
+    });
+  }
+
+  /**
+   * Ball against the plank: normal impulse with restitution and a Coulomb
+   * friction impulse, both shared between the ball's mass and the lever's
+   * moment of inertia about the hinge. Like the pendulum bob, the plank
+   * also pushes inactive balls, which keep the velocity once activated.
+   */
+  _resolveLeverContact(lever, ball) {
+    const contact = sphereVsShape(ball.position, ball.radius, lever.shape);
+    if (!contact) return;
+    const { point, normal, depth } = contact;
+
+    ball.position.addScaledVector(normal, depth);
+
+    // velocity of the plank at the contact point
+    _hinge.setFromMatrixPosition(lever.matrix);
+    _axis.setFromMatrixColumn(lever.matrix, 2).normalize();
+    _velocity.crossVectors(_axis, _arm.subVectors(point, _hinge)).multiplyScalar(lever.angularVelocity);
+
+    const k = this._angularJacobian(lever, point, normal);
+    const vn = ball.velocity.dot(normal) - _velocity.dot(normal);
+    if (vn >= 0) return; // already separating
+
+    const restitution = -vn > RESTING_SPEED ? Math.max(ball.restitution, lever.restitution) : 0;
+    const jn = (-(1 + restitution) * vn) / (1 / ball.mass + (k * k) / lever.inertia);
+    ball.velocity.addScaledVector(normal, jn / ball.mass);
+    lever.angularVelocity -= (jn * k) / lever.inertia;
+
+    // friction against the slip of the ball along the plank
+    this._rollingResistance(ball, normal, jn);
+    const vt = this._slip(ball, normal, _velocity, _tangent).length();
+    if (vt < 1e-9) return;
+    _tangent.divideScalar(vt);
+
+    const kt = this._angularJacobian(lever, point, _tangent);
+    const friction = Math.sqrt(ball.friction * lever.friction);
+    const jt = Math.min(vt / (this._tangentInvMass(ball) + (kt * kt) / lever.inertia), friction * jn);
+    this._applyFriction(ball, normal, _tangent, -jt);
+    lever.angularVelocity += (jt * kt) / lever.inertia;
+  }
+
+  // the hinge's stops: the plank stays on a stop it has hit
+  _solveAngleLimits(lever) {
+    if (lever.angle < lever.minAngle) {
+      lever.angle = lever.minAngle;
+      lever.angularVelocity = Math.max(lever.angularVelocity, 0);
+    } else if (lever.angle > lever.maxAngle) {
+      lever.angle = lever.maxAngle;
+      lever.angularVelocity = Math.min(lever.angularVelocity, 0);
     }
-  });
-}
+  }
 
-  _syncAllMeshes() {
-    // Balls
-    this._syncBallMeshes(this.rgm.ball1);
-    this._syncBallMeshes(this.rgm.ball2);
+  /**
+   * Pulleys: both ends fall under gravity and take contact impulses from
+   * the balls they hold, then the rope pulls them back (a distance
+   * constraint on the sum of both sides, which only ever pulls, so a rope
+   * goes slack when the sides get shorter) and the wheel stops each end at
+   * the rope's minLength. Velocities are solved by sequential impulses,
+   * the remaining stretch is taken out of the positions afterwards.
+   */
+  _updateRopes(dt) {
+    this.rgm.ropes.forEach((ends) => {
+      const { rope } = ends[0];
+      ends.forEach((end) => end.velocity.addScaledVector(this.gravity, dt));
 
-    // Pendulum: rotate pivot around Z or X
-    const p = this.rgm.pendulum;
-    const angle = p.angle;
+      for (let i = 0; i < ROPE_ITERATIONS; i++) {
+        this.rgm.balls.forEach((ball) => {
+          if (ball.active) ends.forEach((end) => this._resolveEndContact(end, ball));
+        });
+        this._solveRopeVelocity(rope);
+      }
 
-    Object.values(p.pivotMeshes).forEach((pivot) => {
-      pivot.rotation.z = angle; // or .x depending on how you built it
+      ends.forEach((end) => end.position.addScaledVector(end.velocity, dt));
+      this._solveRopePosition(rope);
+      ends.forEach((end) => end.updateMatrix());
     });
+  }
 
-    // Dominos: rotate around base when falling
-    this.rgm.dominos.forEach((d) => {
-      Object.values(d.meshes).forEach((mesh) => {
-        mesh.rotation.z = d.angle; // or y/x depending on orientation
-      });
+  // unit vectors from the anchors down the rope to the ends (_directions),
+  // and the length of each side
+  _ropeSides(rope) {
+    return rope.ends.map((end, i) => {
+      const dir = _directions[i].subVectors(end.position, end.anchor);
+      const length = dir.length();
+      if (length > 1e-9) dir.divideScalar(length);
+      else dir.copy(_down);
+      return length;
+    });
+  }
+
+  _solveRopeVelocity(rope) {
+    const [a, b] = rope.ends;
+    const [la, lb] = this._ropeSides(rope);
+    const [ua, ub] = _directions;
+
+    // taut: the sides may not lengthen together
+    if (la + lb >= rope.length - ROPE_SLOP) {
+      const growth = ua.dot(a.velocity) + ub.dot(b.velocity);
+      if (growth > 0) {
+        const j = growth / (1 / a.mass + 1 / b.mass);
+        a.velocity.addScaledVector(ua, -j / a.mass);
+        b.velocity.addScaledVector(ub, -j / b.mass);
+      }
+    }
+
+    // an end at the wheel may not rise any further
+    [[a, la, ua], [b, lb, ub]].forEach(([end, length, dir]) => {
+      if (length > rope.minLength) return;
+      const speed = dir.dot(end.velocity);
+      if (speed < 0) end.velocity.addScaledVector(dir, -speed);
+    });
+  }
+
+  _solveRopePosition(rope) {
+    const [a, b] = rope.ends;
+    let [la, lb] = this._ropeSides(rope);
+    const [ua, ub] = _directions;
+
+    const stretch = la + lb - rope.length;
+    if (stretch > 0) {
+      const wa = 1 / a.mass / (1 / a.mass + 1 / b.mass);
+      a.position.addScaledVector(ua, -stretch * wa);
+      b.position.addScaledVector(ub, -stretch * (1 - wa));
+      la -= stretch * wa;
+      lb -= stretch * (1 - wa);
+    }
+    [[a, la, ua], [b, lb, ub]].forEach(([end, length, dir]) => {
+      if (length < rope.minLength) end.position.addScaledVector(dir, rope.minLength - length);
+    });
+
+    rope.taut = la + lb >= rope.length - ROPE_SLOP;
+  }
+
+  /**
+   * Ball against a hanging end (bucket floor and walls, counterweight).
+   * The ball is pushed out, like off a static surface, and the normal and
+   * friction impulses are shared between both masses, so a ball landing in
+   * the bucket pulls it (and through the rope the other end) along.
+   */
+  _resolveEndContact(end, ball) {
+    end.shapes.forEach((shape) => {
+      const contact = sphereVsShape(ball.position, ball.radius, shape);
+      if (!contact) return;
+      const { normal, depth } = contact;
+      ball.position.addScaledVector(normal, depth);
+
+      _velocity.subVectors(ball.velocity, end.velocity);
+      const vn = _velocity.dot(normal);
+      if (vn >= 0) return; // already separating
+
+      const invMass = 1 / ball.mass + 1 / end.mass;
+      const restitution = -vn > RESTING_SPEED ? Math.max(ball.restitution, end.restitution) : 0;
+      const jn = (-(1 + restitution) * vn) / invMass;
+      ball.velocity.addScaledVector(normal, jn / ball.mass);
+      end.velocity.addScaledVector(normal, -jn / end.mass);
+
+      const vt = this._slip(ball, normal, end.velocity, _tangent).length();
+      if (vt > 1e-9) {
+        const friction = Math.sqrt(ball.friction * end.friction);
+        const jt = Math.min(friction * jn, vt / (this._tangentInvMass(ball) + 1 / end.mass));
+        _tangent.divideScalar(vt);
+        this._applyFriction(ball, normal, _tangent, -jt);
+        end.velocity.addScaledVector(_tangent, jt / end.mass);
+      }
+    });
+  }
+
+  // belts move on along their surface velocity, for scrolling their texture
+  _updateBelts(dt) {
+    this.rgm.surfaces.forEach((s) => {
+      if (s.beltLength) s.travel = (s.travel + s.surfaceVelocity.x * dt) % s.beltLength;
+    });
+  }
+
+  /**
+   * Plungers: the head is a mass on a spring along the base's X axis,
+   * Hooke's law F = -stiffness * (length - restLength), integrated with
+   * semi-implicit Euler. While latched it stays compressed. Balls in front
+   * of the head take contact impulses shared between both masses, so a
+   * ball riding the released head leaves with (nearly all of) the energy
+   * stored in the compression, 1/2 * stiffness * compression^2, as speed.
+   */
+  _updateSprings(dt) {
+    this.rgm.springs.forEach((s) => {
+      if (s.latched) {
+        s.length = s.restLength - s.compression;
+        s.speed = 0;
+      } else {
+        // balls resting against the head are pushed along with it, so the
+        // spring accelerates their mass too and its work goes into both
+        const riding = this._ridingBalls(s);
+        const mass = riding.reduce((sum, { ball }) => sum + ball.mass, s.mass);
+
+        s.speed += (-s.stiffness * (s.length - s.restLength) / mass) * dt;
+        s.speed *= Math.exp(-s.damping * dt);
+        riding.forEach(({ ball, normal }) => {
+          const dv = s.speed * normal.dot(_axis) - ball.velocity.dot(normal);
+          if (dv > 0) ball.velocity.addScaledVector(normal, dv);
+        });
+        s.length += s.speed * dt;
+      }
+
+      this._springPose(s);
+      s.touching = [];
+      this.rgm.balls.forEach((ball) => this._resolveSpringContact(s, ball));
+    });
+  }
+
+  /**
+   * Balls the head touched at the end of the last step that are not moving
+   * away from it; leaves the spring's axis in _axis.
+   */
+  _ridingBalls(s) {
+    _axis.setFromMatrixColumn(s.matrix, 0).normalize();
+    return s.touching.filter(({ ball, normal }) =>
+      normal.dot(_axis) > 0 && ball.velocity.dot(normal) <= s.speed * normal.dot(_axis)
+    );
+  }
+
+  /**
+   * Ball against the plunger head, which only moves along the spring's
+   * axis (and not at all while latched). Balls within SPRING_MARGIN of it
+   * count as touching (see _ridingBalls). Like the lever, the head also
+   * pushes inactive balls.
+   */
+  _resolveSpringContact(s, ball) {
+    const contact = sphereVsShape(ball.position, ball.radius + SPRING_MARGIN, s.shape);
+    if (!contact) return;
+    const { normal } = contact;
+    const depth = contact.depth - SPRING_MARGIN;
+
+    s.touching.push({ ball, normal });
+    if (depth > 0) ball.position.addScaledVector(normal, depth);
+
+    _axis.setFromMatrixColumn(s.matrix, 0).normalize();
+    const k = normal.dot(_axis);
+    const invHeadMass = s.latched ? 0 : 1 / s.mass;
+
+    const vn = ball.velocity.dot(normal) - s.speed * k;
+    if (vn >= 0) return; // already separating
+
+    // a latched head is a wall; a released one drives the ball along
+    // instead of bouncing it ahead of itself
+    const bounces = s.latched && -vn > RESTING_SPEED;
+    const restitution = bounces ? Math.max(ball.restitution, s.restitution) : 0;
+    const j = (-(1 + restitution) * vn) / (1 / ball.mass + k * k * invHeadMass);
+    ball.velocity.addScaledVector(normal, j / ball.mass);
+    s.speed -= j * k * invHeadMass;
+  }
+
+  // head of a spring at its current length along the base's X axis
+  _springPose(s) {
+    s.quaternion.copy(s.baseQuaternion);
+    s.position.set(s.length, 0, 0).applyQuaternion(s.baseQuaternion).add(s.basePosition);
+    return s.updateMatrix().matrix;
+  }
+
+  /**
+   * Pose of a body turning about the local Z axis of its base frame (domino
+   * hinge, pendulum pivot, lever hinge) at its current angle; returns its
+   * matrix.
+   */
+  _hingePose(body) {
+    body.quaternion.setFromAxisAngle(_zAxis, body.angle).premultiply(body.baseQuaternion);
+    return body.updateMatrix().matrix;
+  }
+
+  // bodies whose pose follows other state (angles, ball positions)
+  _updatePoses() {
+    this.rgm.balls.forEach((ball) => ball.updateMatrix());
+    this.rgm.pendulums.forEach((p) => this._hingePose(p));
+    this.rgm.levers.forEach((lever) => this._hingePose(lever));
+    this.rgm.springs.forEach((s) => this._springPose(s));
+    this.rgm.ropes.forEach((ends) => ends.forEach((end) => end.updateMatrix()));
+    this.rgm.dominoRows.forEach((row) => row.forEach((d) => this._hingePose(d)));
+  }
+
+  // torque of gravity about the hinge axis of a domino or lever
+  _gravityTorque(d) {
+    const m = this._hingePose(d);
+    d.localBox.getCenter(_point).applyMatrix4(m);
+    _hinge.setFromMatrixPosition(m);
+    _axis.setFromMatrixColumn(m, 2).normalize();
+
+    _arm.subVectors(_point, _hinge);
+    return _arm.cross(_force.copy(this.gravity).multiplyScalar(d.mass)).dot(_axis);
+  }
+
+  /**
+   * Contact between the leading top edge of `a` and the back face of the
+   * next domino `b`. The edge is clipped to the width of `b` (dominos on a
+   * curve are turned against each other), and each end of the clipped edge
+   * that has crossed the face is pushed back out.
+   */
+  _resolveDominoContact(a, b, dt) {
+    _inverse.copy(b.matrix).invert();
+    const box = b.localBox;
+
+    // leading top edge of a, in b's frame
+    _edgeStart.set(a.localBox.max.x, a.localBox.max.y, a.localBox.min.z)
+      .applyMatrix4(a.matrix).applyMatrix4(_inverse);
+    _edgeEnd.set(a.localBox.max.x, a.localBox.max.y, a.localBox.max.z)
+      .applyMatrix4(a.matrix).applyMatrix4(_inverse);
+
+    // part of the edge within b's width
+    let t0 = 0;
+    let t1 = 1;
+    const z0 = _edgeStart.z;
+    const dz = _edgeEnd.z - z0;
+    if (Math.abs(dz) > 1e-9) {
+      const ta = (box.min.z - z0) / dz;
+      const tb = (box.max.z - z0) / dz;
+      t0 = Math.max(t0, Math.min(ta, tb));
+      t1 = Math.min(t1, Math.max(ta, tb));
+    } else if (z0 < box.min.z || z0 > box.max.z) {
+      return;
+    }
+    if (t0 > t1) return;
+
+    [t0, t1].forEach((t) => {
+      _local.lerpVectors(_edgeStart, _edgeEnd, t);
+      this._resolveDominoPoint(a, b, _local, dt);
     });
   }
 
-  _syncBallMeshes(ball) {
-    const pos = ball.position;
-    Object.values(ball.meshes).forEach((mesh) => {
-      mesh.position.copy(pos);
+  /**
+   * Impulse at one point of a's edge (in b's frame) that has crossed b's
+   * back face, with restitution and a Baumgarte push-out. Only ever pushes
+   * the two apart.
+   */
+  _resolveDominoPoint(a, b, local, dt) {
+    const box = b.localBox;
+    const depth = local.x - box.min.x;
+    if (depth <= 0 || local.x >= box.max.x) return;
+    if (local.y < box.min.y || local.y > box.max.y) return;
+
+    _point.copy(local).applyMatrix4(b.matrix);
+
+    // back face normal of b, pointing towards a
+    _normal.setFromMatrixColumn(b.matrix, 0).normalize().negate();
+
+    const kA = this._angularJacobian(a, _point, _normal);
+    const kB = this._angularJacobian(b, _point, _normal);
+    const invMass = (kA * kA) / a.inertia + (kB * kB) / b.inertia;
+    if (invMass < 1e-12) return;
+
+    // relative normal velocity of a's edge against b's face
+    const vn = a.angularVelocity * kA - b.angularVelocity * kB;
+    const restitution = -vn > RESTING_SPEED ? Math.max(a.restitution, b.restitution) : 0;
+    const bias = (DOMINO_BAUMGARTE / dt) * Math.max(depth - DOMINO_SLOP, 0);
+
+    const j = Math.max(0, (Math.max(-restitution * vn, bias) - vn) / invMass);
+    a.angularVelocity += (j * kA) / a.inertia;
+    b.angularVelocity -= (j * kB) / b.inertia;
+  }
+
+  // angular velocity change per unit impulse along `normal` at `point`
+  _angularJacobian(d, point, normal) {
+    _hinge.setFromMatrixPosition(d.matrix);
+    _axis.setFromMatrixColumn(d.matrix, 2).normalize();
+    return _arm.subVectors(point, _hinge).cross(normal).dot(_axis);
+  }
+
+  /**
+   * Remember the current state as the start of the next step, for
+   * interpolation. Call again after teleporting objects.
+   */
+  snapshot() {
+    this.rgm.bodies.forEach((body) => body.snapshot());
+
+    this.rgm.pendulums.forEach((p) => {
+      p.previousAngle = p.angle;
+    });
+    this.rgm.levers.forEach((lever) => {
+      lever.previousAngle = lever.angle;
+    });
+    this.rgm.springs.forEach((s) => {
+      s.previousLength = s.length;
     });
+    this.rgm.dominoRows.forEach((row) => row.forEach((d) => {
+      d.previousAngle = d.angle;
+    }));
+  }
+
+  /**
+   * Drop the interpolation history (after teleporting objects, e.g. on a
+   * reset) and place every mesh on the current state.
+   */
+  resetMeshes() {
+    this._updatePoses();
+    this.snapshot();
+    this._syncAllMeshes();
+  }
+
+  /**
+   * Place meshes between the previous and the current step.
+   * @param {number} alpha - 0 = previous step, 1 = current step
+   */
+  render(alpha) {
+    this._syncAllMeshes(alpha);
+  }
+
+  // every view on its body's pose, between the last two steps; a base view
+  // on the fixed frame of its body (hinge, spring end), a coil stretched
+  // from its rest length to the spring's length, a belt's texture scrolled
+  // by how far it has travelled, a side of a rope from its anchor down to
+  // its end
+  _syncAllMeshes(alpha = 1) {
+    this.rgm.views.forEach(({ body, object, base, stretch, belt, rope }) => {
+      if (stretch) {
+        const length = THREE.MathUtils.lerp(body.previousLength, body.length, alpha);
+        object.scale.x = length / body.restLength;
+        return;
+      }
+      if (belt) {
+        this._scrollBelt(object, body.travel / body.beltLength);
+        return;
+      }
+
+      if (base) _matrix.compose(body.basePosition || body.position, body.baseQuaternion, _unitScale);
+      else if (rope) this._ropeMatrix(body, alpha, _matrix);
+      else body.interpolatedMatrix(alpha, _matrix);
+      if (object.parent) {
+        object.parent.updateWorldMatrix(true, false);
+        _matrix.premultiply(_inverse.copy(object.parent.matrixWorld).invert());
+      }
+      _matrix.decompose(object.position, object.quaternion, object.scale);
+    });
+  }
+
+  // unit rope hanging along -Y, turned and stretched to reach from the
+  // end's anchor to the end's interpolated position
+  _ropeMatrix(end, alpha, target) {
+    _velocity.lerpVectors(end.previousPosition, end.position, alpha).sub(end.anchor);
+    const length = _velocity.length();
+    if (length > 1e-9) _quaternion.setFromUnitVectors(_down, _velocity.divideScalar(length));
+    else _quaternion.identity();
+    return target.compose(end.anchor, _quaternion, _scale.set(1, Math.max(length, 1e-6), 1));
+  }
+
+  /**
+   * Shifts the texture of a belt mesh along U by `offset` (in texture
+   * widths, one per belt length) from the UVs it was built with.
+   */
+  _scrollBelt(mesh, offset) {
+    const uv = mesh.geometry.attributes.uv;
+    const rest = mesh.userData.restUv;
+    for (let i = 0; i < uv.count; i++) uv.setX(i, rest[2 * i] - offset);
+    uv.needsUpdate = true;
   }
 }
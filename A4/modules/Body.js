@@ -0,0 +1,83 @@
+// Body.js
+// Physics body: the simulation's truth for one part, or one element of a
+// row (e.g. "dominos.3"). Its world pose (position + quaternion), velocity,
+// mass and collision shapes are all the systems read and write. Meshes are
+// only views of bodies, bound by id (see RGMObjects.bindMeshes), so the
+// simulation runs the same with or without a scene graph.
+import * as THREE from "three";
+
+export default class Body {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - collider id: part id, or "<row>.<index>"
+   * @param {string} options.type - part type (ball, pendulum, box, ...)
+   * @param {number} [options.mass=Infinity] - Infinity for static bodies
+   * @param {THREE.Vector3} [options.position]
+   * @param {THREE.Quaternion} [options.quaternion]
+   */
+  constructor({ id, type, mass = Infinity, position, quaternion }) {
+    this.id = id;
+    this.type = type;
+    this.mass = mass;
+
+    this.position = position ? position.clone() : new THREE.Vector3();
+    this.quaternion = quaternion ? quaternion.clone() : new THREE.Quaternion();
+    this.velocity = new THREE.Vector3();
+
+    // pose as a matrix, for the shapes (see updateMatrix)
+    this.matrix = new THREE.Matrix4();
+    this.shapes = [];
+
+    // pose at the start of the step, for sweeps and interpolation
+    this.previousPosition = this.position.clone();
+    this.previousQuaternion = this.quaternion.clone();
+
+    this.updateMatrix();
+  }
+
+  // first (for most bodies, only) collision shape
+  get shape() {
+    return this.shapes[0];
+  }
+
+  /**
+   * @param {Object} shape - from CollisionShapes.js; posed by this body
+   * @returns {Body} this
+   */
+  addShape(shape) {
+    shape.body = this;
+    this.shapes.push(shape);
+    return this;
+  }
+
+  /**
+   * Recompute the matrix after changing position or quaternion.
+   */
+  updateMatrix() {
+    this.matrix.compose(this.position, this.quaternion, _unitScale);
+    return this;
+  }
+
+  /**
+   * Remember the current pose as the start of the next step.
+   */
+  snapshot() {
+    this.previousPosition.copy(this.position);
+    this.previousQuaternion.copy(this.quaternion);
+  }
+
+  /**
+   * World matrix between the previous and the current pose.
+   * @param {number} alpha - 0 = previous step, 1 = current step
+   * @param {THREE.Matrix4} target
+   */
+  interpolatedMatrix(alpha, target) {
+    _position.lerpVectors(this.previousPosition, this.position, alpha);
+    _quaternion.slerpQuaternions(this.previousQuaternion, this.quaternion, alpha);
+    return target.compose(_position, _quaternion, _unitScale);
+  }
+}
+
+const _unitScale = new THREE.Vector3(1, 1, 1);
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
@@ -11,6 +11,9 @@ export default class CameraController {
     // Camera mode: 'orbit' or 'follow'
     this.mode = 'orbit';
 
+    // false while something else owns the mouse (e.g. the editor's gizmo)
+    this.enabled = true;
+
     // Orbit camera settings
     this.orbitDistance = 25;
     this.orbitCenter = new THREE.Vector3(-4, 2, 1);
@@ -49,7 +52,7 @@ export default class CameraController {
   }
 
   _onMouseDown(e) {
-    if (this.mode !== 'orbit') return;
+    if (this.mode !== 'orbit' || !this.enabled) return;
     
     this.isDragging = true;
     this.lastMousePos = { x: e.offsetX, y: e.offsetY };
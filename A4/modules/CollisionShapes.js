@@ -0,0 +1,247 @@
+// CollisionShapes.js
+// Exact collision shapes of physics bodies. Each shape holds its size and
+// its placement in the body's local frame, and takes its pose from
+// body.matrix on every update(), so rotated parts (the ramp, toppling
+// dominos, the swinging pendulum) are tested with their real orientation
+// instead of a world-axis-aligned box. A shape belongs to one body (see
+// Body.addShape).
+import * as THREE from "three";
+import { sphereVsTorus } from "./Contacts.js";
+
+const _v = new THREE.Vector3();
+const _w = new THREE.Vector3();
+
+/**
+ * Sphere, centred on the body origin or on a point of the body (the
+ * pendulum bob, at the end of the rod).
+ */
+export class SphereShape {
+  constructor(radius, offset = new THREE.Vector3()) {
+    this.type = "sphere";
+    this.body = null;
+    this.radius = radius;
+    this.offset = offset;
+    this.center = new THREE.Vector3();
+  }
+
+  update() {
+    this.center.copy(this.offset).applyMatrix4(this.body.matrix);
+    return this;
+  }
+}
+
+/**
+ * Oriented box: a box in the body's local frame, rotated and moved with the
+ * body. A plane is a box with zero thickness. An `offset` places the box
+ * frame in the body frame, for bodies made of several boxes (the slats of
+ * a funnel).
+ */
+export class BoxShape {
+  /**
+   * @param {THREE.Box3} localBox
+   * @param {THREE.Matrix4|null} [offset=null] - null: the body frame itself
+   */
+  constructor(localBox, offset = null) {
+    this.type = "box";
+    this.body = null;
+    this.localBox = localBox;
+    this.offset = offset;
+    this.matrix = new THREE.Matrix4();
+
+    this.center = new THREE.Vector3();
+    this.halfExtents = new THREE.Vector3();
+    this.axes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  }
+
+  /**
+   * Box of the given size centred on the body origin (or the offset's).
+   * @param {number[]} size - [x, y, z]
+   * @param {THREE.Matrix4|null} [offset=null]
+   */
+  static fromSize([x, y, z], offset = null) {
+    const half = new THREE.Vector3(x, y, z).multiplyScalar(0.5);
+    return new BoxShape(new THREE.Box3(half.clone().negate(), half), offset);
+  }
+
+  // world matrix of the box frame, from the body's current pose
+  worldMatrix() {
+    if (!this.offset) return this.body.matrix;
+    return this.matrix.multiplyMatrices(this.body.matrix, this.offset);
+  }
+
+  update() {
+    const m = this.worldMatrix();
+
+    this.localBox.getCenter(this.center).applyMatrix4(m);
+    this.localBox.getSize(this.halfExtents).multiplyScalar(0.5);
+    m.extractBasis(this.axes[0], this.axes[1], this.axes[2]);
+    return this;
+  }
+
+  /**
+   * Closest point of the box to p (p itself when inside).
+   */
+  closestPoint(p, target) {
+    _v.subVectors(p, this.center);
+    target.copy(this.center);
+    this.axes.forEach((axis, i) => {
+      const h = this.halfExtents.getComponent(i);
+      const d = THREE.MathUtils.clamp(_v.dot(axis), -h, h);
+      target.addScaledVector(axis, d);
+    });
+    return target;
+  }
+
+  // half-length of the box projected on a unit axis
+  projectedRadius(axis) {
+    return this.axes.reduce(
+      (sum, a, i) => sum + this.halfExtents.getComponent(i) * Math.abs(a.dot(axis)),
+      0
+    );
+  }
+}
+
+/**
+ * Capsule (e.g. the pendulum rod): a segment of the body's local frame
+ * swept by a sphere.
+ */
+export class CapsuleShape {
+  constructor(localStart, localEnd, radius) {
+    this.type = "capsule";
+    this.body = null;
+    this.radius = radius;
+    this.localStart = localStart;
+    this.localEnd = localEnd;
+
+    this.start = new THREE.Vector3();
+    this.end = new THREE.Vector3();
+  }
+
+  update() {
+    this.start.copy(this.localStart).applyMatrix4(this.body.matrix);
+    this.end.copy(this.localEnd).applyMatrix4(this.body.matrix);
+    return this;
+  }
+
+  pointAt(t, target) {
+    return target.lerpVectors(this.start, this.end, t);
+  }
+}
+
+/**
+ * Torus (the hoop), lying in the body's local XY plane. Only tested
+ * against spheres, so a ball can pass through the hole without touching it.
+ */
+export class TorusShape {
+  constructor(radius, tube) {
+    this.type = "torus";
+    this.body = null;
+    this.radius = radius;
+    this.tube = tube;
+  }
+
+  update() {
+    return this;
+  }
+}
+
+/**
+ * Overlap test between any two shapes (call update() on both first).
+ * @returns {boolean}
+ */
+export function shapesIntersect(a, b) {
+  // order the pair so each combination is handled once
+  const order = { sphere: 0, capsule: 1, box: 2, torus: 3 };
+  if (order[a.type] > order[b.type]) [a, b] = [b, a];
+
+  switch (`${a.type}-${b.type}`) {
+    case "sphere-sphere":
+      return a.center.distanceTo(b.center) <= a.radius + b.radius;
+    case "sphere-capsule":
+      return distanceToSegment(a.center, b.start, b.end) <= a.radius + b.radius;
+    case "sphere-box":
+      return b.closestPoint(a.center, _w).distanceTo(a.center) <= a.radius;
+    case "capsule-capsule":
+      return minAlongSegment(a, (p) => distanceToSegment(p, b.start, b.end)) <= a.radius + b.radius;
+    case "capsule-box":
+      return minAlongSegment(a, (p) => b.closestPoint(p, _w).distanceTo(p)) <= a.radius;
+    case "box-box":
+      return boxesIntersect(a, b);
+    case "sphere-torus":
+      return sphereVsTorus(a.center, a.radius, b) !== null;
+    default:
+      return false;
+  }
+}
+
+function distanceToSegment(p, start, end) {
+  _v.subVectors(end, start);
+  const lenSq = _v.lengthSq();
+  const t = lenSq > 0 ? THREE.MathUtils.clamp(_w.subVectors(p, start).dot(_v) / lenSq, 0, 1) : 0;
+  return _w.copy(start).addScaledVector(_v, t).distanceTo(p);
+}
+
+/**
+ * Minimum of a convex distance function along a capsule's segment
+ * (ternary search; distance to a convex set is convex along a line).
+ */
+function minAlongSegment(capsule, distanceFn) {
+  const p = new THREE.Vector3();
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 40; i++) {
+    const m1 = lo + (hi - lo) / 3;
+    const m2 = hi - (hi - lo) / 3;
+    if (distanceFn(capsule.pointAt(m1, p)) < distanceFn(capsule.pointAt(m2, p))) hi = m2;
+    else lo = m1;
+  }
+  return distanceFn(capsule.pointAt((lo + hi) / 2, p));
+}
+
+/**
+ * Separating axis test between two oriented boxes (3 + 3 face axes and
+ * 9 edge-pair axes).
+ */
+function boxesIntersect(a, b) {
+  const axes = [...a.axes, ...b.axes];
+  a.axes.forEach((ea) => {
+    b.axes.forEach((eb) => {
+      const cross = new THREE.Vector3().crossVectors(ea, eb);
+      if (cross.lengthSq() > 1e-12) axes.push(cross.normalize());
+    });
+  });
+
+  const offset = new THREE.Vector3().subVectors(b.center, a.center);
+  return axes.every(
+    (axis) => Math.abs(offset.dot(axis)) <= a.projectedRadius(axis) + b.projectedRadius(axis)
+  );
+}
+
+/**
+ * World-space axis-aligned bounds of a shape, for the broad phase.
+ * @param {Object} shape - an updated shape
+ * @param {THREE.Box3} target
+ * @returns {THREE.Box3}
+ */
+export function shapeBounds(shape, target) {
+  if (shape.type === "sphere") {
+    target.min.copy(shape.center).subScalar(shape.radius);
+    target.max.copy(shape.center).addScalar(shape.radius);
+  } else if (shape.type === "capsule") {
+    target.makeEmpty().expandByPoint(shape.start).expandByPoint(shape.end);
+    target.expandByScalar(shape.radius);
+  } else if (shape.type === "box") {
+    for (let i = 0; i < 3; i++) {
+      _v.set(0, 0, 0).setComponent(i, 1);
+      const r = shape.projectedRadius(_v);
+      target.min.setComponent(i, shape.center.getComponent(i) - r);
+      target.max.setComponent(i, shape.center.getComponent(i) + r);
+    }
+  } else {
+    const r = shape.radius + shape.tube;
+    target.min.set(-r, -r, -shape.tube);
+    target.max.set(r, r, shape.tube);
+    target.applyMatrix4(shape.body.matrix);
+  }
+  return target;
+}
@@ -1,5 +1,23 @@
 // CollisionSystem.js
+// Finds contacts between every registered collider (rgmObjects.colliders):
+//  - broad phase: sweep-and-prune of world bounds along X
+//  - layer / mask filtering per part
+//  - narrow phase: swept spheres, then exact shape overlap
+// and reports them as CONTACT_BEGIN / CONTACT_STAY / CONTACT_END events
+// carrying the two collider ids (`a`, `b`). Rule-based links of the machine
+// description (tipped domino, ball through a hoop) add their own events, and
+// levers report LEVER_TIPPED when they swing onto one of their stops.
 import * as THREE from "three";
+import { sweptSphereVsBox, sweptSphereVsSphere } from "./Contacts.js";
+import { shapesIntersect, shapeBounds } from "./CollisionShapes.js";
+import { getPartType } from "./PartLibrary.js";
+
+const ALL_LAYERS = 0x7fffffff;
+
+const _inverse = new THREE.Matrix4();
+const _start = new THREE.Vector3();
+const _end = new THREE.Vector3();
+const _shapeBox = new THREE.Box3();
 
 export default class CollisionSystem {
   constructor(rgmObjects, { debugBounds = false } = {}) {
@@ -7,152 +25,271 @@ export default class CollisionSystem {
     this.events = []; // queue of collision events for this frame
     this.debugBounds = debugBounds;
 
-    // cache bob mesh once instead of searching every frame
-    this._bobMesh = null;
-    const pivotPhong = this.rgm.pendulum.pivotMeshes.phong;
-    if (pivotPhong) {
-      this._bobMesh = pivotPhong.children.find(
-        (c) => c.geometry && c.geometry.type === "SphereGeometry"
-      );
-    }
+    // layer name -> bit, assigned in order of first use
+    this._layerBits = new Map();
+
+    this.colliders = rgmObjects.colliders.map((collider, index) => ({
+      ...collider,
+      index,
+      layerBits: this._layerBit(collider.layer),
+      maskBits: this._maskBits(collider),
+      bounds: new THREE.Box3(),
+      sweep: { start: new THREE.Vector3(), end: new THREE.Vector3(), radius: 0 }, // see _sweep
+    }));
+
+    // "idA|idB" -> contact payload of the previous step
+    this._contacts = new Map();
+    // end dominos that already reported their tipped link
+    this._tipped = new Set();
   }
 
   update(dt) {
     this.events.length = 0;  // clear from last frame
+    this._dt = dt;
 
-    this._checkPendulumHitsBall1();
-    this._checkBall1HitsRamp();
-    this._checkBall1HitsFirstDomino();
-    this._checkDominoChain();
-    this._checkDominoHitsBall2();
-  }
+    this._updateContacts();
 
-  _emit(type, payload = {}) {
-    this.events.push({ type, ...payload });
+    // every link of the machine description is one rule to watch
+    this.rgm.links.forEach((link) => {
+      const from = this.rgm[link.from];
+      const to   = this.rgm[link.to];
+
+      if (link.type === "tipped") this._checkDominoTipped(link, from, to);
+      else if (link.type === "hoop") this._checkHoop(link, from, to);
+    });
+
+    this.rgm.levers.forEach((lever) => this._checkLeverTipped(lever));
   }
 
   /**
-   * Ensure mesh has:
-   *  - geometry.boundingBox (local space, static)
-   *  - mesh.userData.worldBounds (THREE.Box3, world space)
-   *  - optional Box3Helper for debug
+   * Forgets all touching pairs, so contacts present after a reset are
+   * reported with CONTACT_BEGIN again.
    */
-  _ensureWorldBounds(mesh) {
-    if (!mesh) return null;
+  reset() {
+    this.events.length = 0;
+    this._contacts.clear();
+    this._tipped.clear();
+  }
+
+  _emit(type, payload = {}) {
+    this.events.push({ type, ...payload });
+  }
 
-    // local bbox (only once per geometry)
-    if (!mesh.geometry.boundingBox) {
-      mesh.geometry.computeBoundingBox();
+  _layerBit(name) {
+    if (!this._layerBits.has(name)) {
+      this._layerBits.set(name, 1 << this._layerBits.size);
     }
+    return this._layerBits.get(name);
+  }
 
-    // allocate world box if needed
-    if (!mesh.userData.worldBounds) {
-      mesh.userData.worldBounds = new THREE.Box3();
+  _maskBits({ layer, mask }) {
+    if (mask) {
+      return mask.reduce((bits, name) => bits | this._layerBit(name), 0);
     }
-    const worldBox = mesh.userData.worldBounds;
+    // no mask: everything, static parts ignore each other
+    return layer === "static" ? ALL_LAYERS & ~this._layerBit("static") : ALL_LAYERS;
+  }
 
-    // update world matrix & world box
-    mesh.updateWorldMatrix(true, false);
-    worldBox.copy(mesh.geometry.boundingBox).applyMatrix4(mesh.matrixWorld);
+  _updateContacts() {
+    const current = new Map();
+
+    this._broadPhase().forEach(([a, b]) => {
+      const hit = this._narrowPhase(a, b);
+      if (!hit) return;
+
+      const key = `${a.id}|${b.id}`;
+      const payload = {
+        a: a.id,
+        b: b.id,
+        from: a.object,
+        to: b.object,
+        toi: hit.toi,
+        time: hit.toi * this._dt,
+        point: hit.point,
+        normal: hit.normal,
+      };
+      current.set(key, payload);
+      this._emit(this._contacts.has(key) ? "CONTACT_STAY" : "CONTACT_BEGIN", payload);
+    });
+
+    this._contacts.forEach((payload, key) => {
+      if (!current.has(key)) this._emit("CONTACT_END", payload);
+    });
+
+    this._contacts = current;
+  }
 
-    // optional visualization
-    /*if (this.debugBounds) {
-      if (!mesh.userData.boundsHelper) {
-        mesh.userData.boundsHelper = new THREE.Box3Helper(worldBox);
-        mesh.parent.add(mesh.userData.boundsHelper);
+  /**
+   * Sweep-and-prune: sort colliders by the X start of their bounds (which
+   * include this step's sweep) and pair each with those whose X interval
+   * it overlaps. Pairs come out as [lower index, higher index], filtered by
+   * layer / mask, in a deterministic order.
+   */
+  _broadPhase() {
+    this.colliders.forEach((c) => this._updateBounds(c));
+
+    const sorted = [...this.colliders].sort(
+      (a, b) => a.bounds.min.x - b.bounds.min.x || a.index - b.index
+    );
+
+    const pairs = [];
+    const active = [];
+    sorted.forEach((c) => {
+      // drop colliders that end before this one starts
+      for (let i = active.length - 1; i >= 0; i--) {
+        if (active[i].bounds.max.x < c.bounds.min.x) active.splice(i, 1);
       }
-      mesh.userData.boundsHelper.visible = true;
-    }*/
 
-    return worldBox;
+      active.forEach((other) => {
+        if (!this._canCollide(c, other)) return;
+        if (!c.bounds.intersectsBox(other.bounds)) return;
+        pairs.push(c.index < other.index ? [c, other] : [other, c]);
+      });
+      active.push(c);
+    });
+
+    return pairs;
   }
 
-  _checkPendulumHitsBall1() {
-    const pend  = this.rgm.pendulum;
-    const ball1 = this.rgm.ball1;
+  _canCollide(a, b) {
+    if (a.object === b.object) return false;
+    return (a.layerBits & b.maskBits) !== 0 && (b.layerBits & a.maskBits) !== 0;
+  }
 
-    if (!this._bobMesh) return;
-    const bobMesh   = this._bobMesh;
-    const ball1Mesh = ball1.meshes.phong;
+  _updateBounds(collider) {
+    const box = collider.bounds.makeEmpty();
 
-    const bobBox   = this._ensureWorldBounds(bobMesh);
-    const ball1Box = this._ensureWorldBounds(ball1Mesh);
-    if (!bobBox || !ball1Box) return;
+    collider.shapes.forEach((shape) => {
+      shape.update();
+      box.union(shapeBounds(shape, _shapeBox));
+    });
 
-    if (bobBox.intersectsBox(ball1Box)) {
-      this._emit("PENDULUM_HIT_BALL1", { ball1 });
-      //console.log("pendulum hit ball1");
+    // include where a sphere started the step so fast ones are paired too
+    const sweep = this._sweep(collider);
+    if (sweep) {
+      box.union(_shapeBox.setFromCenterAndSize(sweep.start, _shapeBox.max.setScalar(sweep.radius * 2)));
     }
   }
 
-  _checkBall1HitsRamp(){
-    const ball1 = this.rgm.ball1;
-    const ramp  = this.rgm.ramp;
-
-    const ball1Mesh = ball1.meshes.phong;
-    const rampMesh  = ramp.meshes.phong;
-
-    const ball1Box = this._ensureWorldBounds(ball1Mesh);
-    const rampBox  = this._ensureWorldBounds(rampMesh);
-    if (!ball1Box || !rampBox) return;
+  /**
+   * Path of a spherical body over the last step, or null for other shapes;
+   * its part type knows how it moves (see PartLibrary.js, e.g. a ball from
+   * its previous to its current position, a pendulum bob along its swing).
+   * Written into the collider's own `sweep`, so nothing is allocated per
+   * step and the two sides of a pair do not share one.
+   */
+  _sweep(collider) {
+    const { sweep } = getPartType(collider.object.type);
+    return sweep ? sweep(collider.object, collider.sweep) : null;
+  }
 
-    if (ball1Box.intersectsBox(rampBox)) {
-      this._emit("BALL1_HIT_RAMP", { ball1 });
-      //console.log("ball1 hit ramp");
+  /**
+   * Spheres are tested continuously over the step (against a sphere or a
+   * box), so a fast ball cannot pass through a thin part between two
+   * steps; everything else is tested for exact overlap at the end of the
+   * step. Returns the time of impact (`toi`, fraction of the step), the
+   * contact `point` and the `normal` pointing from b towards a (the last two
+   * are null for plain overlaps), or null when the pair does not touch.
+   */
+  _narrowPhase(a, b) {
+    const sweepA = this._sweep(a);
+    const sweepB = this._sweep(b);
+    let hit = null;
+
+    if (sweepA && sweepB) {
+      hit = sweptSphereVsSphere(
+        sweepA.start, sweepA.end, sweepA.radius,
+        sweepB.start, sweepB.end, sweepB.radius
+      );
+    } else if (sweepA) {
+      hit = this._sweptVsShapes(sweepA, b.shapes);
+    } else if (sweepB) {
+      hit = this._sweptVsShapes(sweepB, a.shapes);
+      if (hit) hit.normal.negate();
     }
 
+    if (!hit) {
+      const overlap = a.shapes.some((sa) => b.shapes.some((sb) => shapesIntersect(sa, sb)));
+      if (overlap) hit = { toi: 0, point: null, normal: null };
+    }
+    return hit;
   }
 
-  _checkBall1HitsFirstDomino() {
-    const ball1 = this.rgm.ball1;
-    const firstDomino = this.rgm.dominos[0];
-
-    if (!firstDomino) return;
-    if (firstDomino.fallen) return;
-
-    const ballMesh   = ball1.meshes.phong;
-    const dominoMesh = firstDomino.meshes.phong;
-
-    const ballBox   = this._ensureWorldBounds(ballMesh);
-    const dominoBox = this._ensureWorldBounds(dominoMesh);
-    if (!ballBox || !dominoBox) return;
-
-    if (ballBox.intersectsBox(dominoBox)) {
-      this._emit("BALL1_HIT_FIRST_DOMINO", {
-        ball:   ball1,
-        domino: firstDomino,
-      });
-    }
+  _sweptVsShapes(sweep, shapes) {
+    let best = null;
+    shapes.forEach((shape) => {
+      if (shape.type !== "box") return;
+      const hit = sweptSphereVsBox(sweep.start, sweep.end, sweep.radius, shape);
+      if (hit && (!best || hit.toi < best.toi)) best = hit;
+    });
+    return best;
   }
 
-  _checkDominoChain() {
-    // keep your angle-based chain; boxes not necessary here
-    for (let i = 0; i < this.rgm.dominos.length - 1; i++) {
-      const d1 = this.rgm.dominos[i];
-      const d2 = this.rgm.dominos[i + 1];
-      if (!d1.fallen || d2.fallen) continue;
+  /**
+   * Fires once a domino at the end of the row (one that falls onto no
+   * other, so one per branch) has tipped past the link's angle; each
+   * domino reports it once until the next reset.
+   */
+  _checkDominoTipped(link, dominos, target) {
+    dominos.forEach((d) => {
+      if (d.next.length > 0 || !d.fallen || this._tipped.has(d)) return;
 
-      if (Math.abs(d1.angle) > (1.7* Math.PI / 9)) {
-        this._emit("DOMINO_HIT_NEXT", { from: d1, to: d2 });
+      if (d.angle < link.angle) {
+        this._tipped.add(d);
+        this._emit(link.event, { link, a: link.from, b: link.to, from: d, to: target });
       }
-    }
+    });
   }
 
-  _checkDominoHitsBall2() {
-
-    const ball2 = this.rgm.ball2;
-    const lastDomino = this.rgm.dominos[this.rgm.dominos.length - 1];
-
-    if (!lastDomino) return;
-    if (!lastDomino.fallen) return;
-
-    if(lastDomino.angle < -0.6) {
-      this._emit("DOMINO_HIT_BALL2", {
-        ball:   ball2,
-      });
-    }
-    
+  /**
+   * Fires when a lever reaches one of its stops during the last step,
+   * coming from the other side: `side` is -1 at minAngle, 1 at maxAngle.
+   * The event names only the lever (`b` is null).
+   */
+  _checkLeverTipped(lever) {
+    const stops = [[-1, lever.minAngle], [1, lever.maxAngle]];
+    stops.forEach(([side, stop]) => {
+      if (lever.angle !== stop || lever.previousAngle === stop) return;
+      this._emit("LEVER_TIPPED", { a: lever.id, b: null, from: lever, to: null, side });
+    });
   }
 
-
+  /**
+   * Ball crossing the plane of a hoop during the last step, classified by
+   * how far from the hoop's axis its centre crossed:
+   *  - HOOP_PASS: through the hole without touching the tube
+   *  - HOOP_RIM:  through the hole, but scraping the tube
+   *  - HOOP_MISS: outside the hole (over, or bounced off, the rim, or
+   *               anywhere else in the plane)
+   */
+  _checkHoop(link, ball, hoop) {
+    const { radius, tube } = hoop.shape;
+
+    // the torus lies in its local XY plane
+    _inverse.copy(hoop.matrix).invert();
+    const start = _start.copy(ball.previousPosition).applyMatrix4(_inverse);
+    const end = _end.copy(ball.position).applyMatrix4(_inverse);
+    if (start.z === end.z || Math.sign(start.z) === Math.sign(end.z)) return;
+
+    const toi = start.z / (start.z - end.z);
+    const crossing = start.lerp(end, toi);
+    const offset = Math.hypot(crossing.x, crossing.y);
+    const hole = radius - tube;
+
+    let type = "HOOP_MISS";
+    if (offset + ball.radius <= hole) type = "HOOP_PASS";
+    else if (offset < hole) type = "HOOP_RIM";
+
+    this._emit(type, {
+      link,
+      a: link.from,
+      b: link.to,
+      from: ball,
+      to: hoop,
+      toi,
+      time: toi * this._dt,
+      point: crossing.clone().applyMatrix4(hoop.matrix),
+      offset,
+    });
+  }
 }
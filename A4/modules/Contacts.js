@@ -0,0 +1,206 @@
+// Contacts.js
+// Sphere-vs-shape contact queries for the physics step and the
+// CollisionSystem. Shapes (CollisionShapes.js) are posed by their body's
+// current matrix, so moving or rotating a body moves its contact surface
+// with it.
+import * as THREE from "three";
+
+// distance (in a box's frame) under which a sphere centre counts as on the box
+const ON_SURFACE = 1e-9;
+
+const _inverse = new THREE.Matrix4();
+const _local = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+
+/**
+ * Contact between a sphere and a shape, or null if they do not touch.
+ *  - point:  contact point on the shape's surface (world space)
+ *  - normal: unit vector from the surface towards the sphere centre
+ *  - depth:  how far the sphere has sunk into the surface
+ *
+ * @param {THREE.Vector3} center - sphere centre (world space)
+ * @param {number} radius
+ * @param {Object} shape - box or torus shape
+ * @returns {{ point: THREE.Vector3, normal: THREE.Vector3, depth: number } | null}
+ */
+export function sphereVsShape(center, radius, shape) {
+  switch (shape.type) {
+    case "box":
+      return sphereVsBox(center, radius, shape);
+    case "torus":
+      return sphereVsTorus(center, radius, shape);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Sphere against an oriented box shape. A plane is a box with zero
+ * thickness.
+ */
+export function sphereVsBox(center, radius, shape) {
+  const box = shape.localBox;
+  const matrix = shape.worldMatrix();
+
+  _inverse.copy(matrix).invert();
+  _local.copy(center).applyMatrix4(_inverse);
+  _closest.copy(_local).clamp(box.min, box.max);
+
+  // a centre on (or, by rounding, just off) a face gives no direction to
+  // push along, so it leaves through the nearest face like one inside
+  const inside = _closest.distanceToSquared(_local) < ON_SURFACE * ON_SURFACE;
+  if (inside) {
+    // centre is inside the box: leave through the nearest face
+    let bestAxis = 0;
+    let bestDist = Infinity;
+    let bestSign = 1;
+    for (let axis = 0; axis < 3; axis++) {
+      const v = _local.getComponent(axis);
+      const toMin = v - box.min.getComponent(axis);
+      const toMax = box.max.getComponent(axis) - v;
+      if (toMin < bestDist) { bestDist = toMin; bestAxis = axis; bestSign = -1; }
+      if (toMax <= bestDist) { bestDist = toMax; bestAxis = axis; bestSign = 1; }
+    }
+    _closest.setComponent(
+      bestAxis,
+      bestSign > 0 ? box.max.getComponent(bestAxis) : box.min.getComponent(bestAxis)
+    );
+    _normal.set(0, 0, 0).setComponent(bestAxis, bestSign);
+    _normal.transformDirection(matrix);
+    _closest.applyMatrix4(matrix);
+
+    return {
+      point: _closest.clone(),
+      normal: _normal.clone(),
+      depth: radius + center.distanceTo(_closest),
+    };
+  }
+
+  _closest.applyMatrix4(matrix);
+  _normal.subVectors(center, _closest);
+  const dist = _normal.length();
+  if (dist >= radius) return null;
+
+  return {
+    point: _closest.clone(),
+    normal: _normal.divideScalar(dist).clone(),
+    depth: radius - dist,
+  };
+}
+
+/**
+ * Sphere against a torus shape (lying in its body's local XY plane).
+ */
+export function sphereVsTorus(center, radius, shape) {
+  const { radius: ringRadius, tube } = shape;
+  const matrix = shape.body.matrix;
+
+  _inverse.copy(matrix).invert();
+  _local.copy(center).applyMatrix4(_inverse);
+
+  // closest point on the tube's centre circle
+  _closest.set(_local.x, _local.y, 0);
+  if (_closest.lengthSq() === 0) _closest.set(1, 0, 0);
+  _closest.setLength(ringRadius);
+
+  _normal.subVectors(_local, _closest);
+  const dist = _normal.length();
+  if (dist >= radius + tube || dist === 0) return null;
+
+  _normal.divideScalar(dist);
+  _closest.addScaledVector(_normal, tube).applyMatrix4(matrix);
+  _normal.transformDirection(matrix);
+
+  return {
+    point: _closest.clone(),
+    normal: _normal.clone(),
+    depth: radius + tube - dist,
+  };
+}
+
+/**
+ * Continuous test of a sphere moving from `start` to `end` against a box
+ * shape (held still during the step). The box is inflated by the
+ * radius and intersected with the segment, which treats its edges and
+ * corners as square rather than rounded.
+ *
+ * @returns {{ toi: number, point: THREE.Vector3, normal: THREE.Vector3 } | null}
+ *          toi is the fraction of the step (0..1) at first contact
+ */
+export function sweptSphereVsBox(start, end, radius, shape) {
+  const box = shape.localBox;
+  const matrix = shape.worldMatrix();
+
+  _inverse.copy(matrix).invert();
+  const p0 = start.clone().applyMatrix4(_inverse);
+  const dir = end.clone().applyMatrix4(_inverse).sub(p0);
+
+  // slab test against the inflated box
+  let tEnter = -Infinity;
+  let tExit = Infinity;
+  let enterAxis = 0;
+  for (let axis = 0; axis < 3; axis++) {
+    const o = p0.getComponent(axis);
+    const d = dir.getComponent(axis);
+    const min = box.min.getComponent(axis) - radius;
+    const max = box.max.getComponent(axis) + radius;
+
+    if (Math.abs(d) < 1e-12) {
+      if (o < min || o > max) return null;
+      continue;
+    }
+    let t1 = (min - o) / d;
+    let t2 = (max - o) / d;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    if (t1 > tEnter) { tEnter = t1; enterAxis = axis; }
+    tExit = Math.min(tExit, t2);
+  }
+
+  if (tEnter > tExit || tEnter > 1 || tExit < 0) return null;
+  const toi = Math.max(0, tEnter);
+
+  // contact point / normal at the time of impact
+  const center = p0.addScaledVector(dir, toi);
+  _closest.copy(center).clamp(box.min, box.max);
+  _normal.subVectors(center, _closest);
+  if (_normal.lengthSq() < 1e-18) {
+    _normal.set(0, 0, 0).setComponent(enterAxis, -Math.sign(dir.getComponent(enterAxis)) || 1);
+  }
+  _normal.transformDirection(matrix);
+  _closest.applyMatrix4(matrix);
+
+  return { toi, point: _closest.clone(), normal: _normal.clone() };
+}
+
+/**
+ * Continuous test between two moving spheres (linear motion over the step).
+ * The normal points from sphere B towards sphere A at the time of impact.
+ *
+ * @returns {{ toi: number, point: THREE.Vector3, normal: THREE.Vector3 } | null}
+ */
+export function sweptSphereVsSphere(aStart, aEnd, aRadius, bStart, bEnd, bRadius) {
+  // relative motion of A seen from B
+  const d0 = new THREE.Vector3().subVectors(aStart, bStart);
+  const v = new THREE.Vector3().subVectors(aEnd, aStart).sub(bEnd).add(bStart);
+  const r = aRadius + bRadius;
+
+  let toi;
+  const c = d0.lengthSq() - r * r;
+  if (c <= 0) {
+    toi = 0; // already touching at the start of the step
+  } else {
+    const a = v.lengthSq();
+    const b = 2 * d0.dot(v);
+    const disc = b * b - 4 * a * c;
+    if (a < 1e-18 || b >= 0 || disc < 0) return null; // parallel, separating or missing
+    toi = (-b - Math.sqrt(disc)) / (2 * a);
+    if (toi > 1) return null;
+  }
+
+  const bCenter = new THREE.Vector3().lerpVectors(bStart, bEnd, toi);
+  const normal = d0.addScaledVector(v, toi).normalize();
+  const point = bCenter.addScaledVector(normal, bRadius);
+
+  return { toi, point, normal };
+}
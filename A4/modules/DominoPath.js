@@ -0,0 +1,101 @@
+// DominoPath.js
+// Places dominos along a path. A dominoRow part either lays out `count`
+// dominos in a straight line along its local +X axis, or follows a "path":
+//
+//   "path": {
+//     "curve":    "polyline" | "catmullRom",   (default "polyline")
+//     "points":   [[x, y, z], ...],            (row-local, y = floor height)
+//     "branches": [ { "curve", "points", "branches"? }, ... ]
+//   }
+//
+// Dominos are spaced `spacing` apart (measured along the curve) and turned
+// to face along it. Each branch continues from the end of its parent path,
+// so two branches make a Y-split: the last domino before the split knocks
+// over the first domino of every branch.
+import * as THREE from "three";
+
+/**
+ * @typedef {Object} DominoPlacement
+ * @property {THREE.Vector3} position - hinge (leading bottom edge), row-local
+ * @property {number} yaw - rotation about Y so local +X follows the path
+ * @property {number[]} next - indices of the dominos this one falls onto
+ */
+
+/**
+ * Domino placements of a dominoRow part, in generation order: the main
+ * path first, then each branch depth-first.
+ * @param {Object} part - dominoRow part
+ * @returns {DominoPlacement[]}
+ */
+export function layoutDominoPath(part) {
+  if (!part.path && !(part.count >= 1)) {
+    throw new Error(`[DominoPath] Row '${part.id}' needs a count of at least 1 (got ${part.count})`);
+  }
+
+  const placements = [];
+  const path = part.path || {
+    points: [[0, 0, 0], [(part.count - 1) * part.spacing, 0, 0]],
+  };
+
+  layoutBranch(path, part.spacing, 0, null, placements);
+  return placements;
+}
+
+/**
+ * Lays out one path and then its branches.
+ * @param {Object} path
+ * @param {number} spacing
+ * @param {number} offset - distance along the path to the first domino
+ * @param {number|null} previous - index of the domino leading into the path
+ * @param {DominoPlacement[]} placements - appended to
+ */
+function layoutBranch(path, spacing, offset, previous, placements) {
+  const curve = createCurve(path);
+  const length = curve.getLength();
+
+  let last = previous;
+  let distance = offset;
+  for (let k = 1; distance <= length + 1e-6; k++) {
+    const u = length > 0 ? Math.min(distance / length, 1) : 0;
+    const tangent = curve.getTangentAt(u);
+
+    const index = placements.length;
+    placements.push({
+      position: curve.getPointAt(u),
+      yaw: Math.atan2(-tangent.z, tangent.x),
+      next: [],
+    });
+    if (last !== null) placements[last].next.push(index);
+    last = index;
+
+    distance = offset + k * spacing;
+  }
+
+  // keep the spacing continuous across the split
+  const branchOffset = distance - length;
+  const end = curve.getPointAt(1).toArray();
+  (path.branches || []).forEach((branch) => {
+    const points = [end, ...branch.points];
+    layoutBranch({ ...branch, points }, spacing, branchOffset, last, placements);
+  });
+}
+
+function createCurve({ curve = "polyline", points }) {
+  const vectors = points.map((p) => new THREE.Vector3().fromArray(p));
+  if (vectors.length < 2) {
+    throw new Error("[DominoPath] A domino path needs at least two points");
+  }
+
+  if (curve === "catmullRom") {
+    return new THREE.CatmullRomCurve3(vectors);
+  }
+  if (curve !== "polyline") {
+    throw new Error(`[DominoPath] Unknown curve type '${curve}'`);
+  }
+
+  const polyline = new THREE.CurvePath();
+  for (let i = 0; i < vectors.length - 1; i++) {
+    polyline.add(new THREE.LineCurve3(vectors[i], vectors[i + 1]));
+  }
+  return polyline;
+}
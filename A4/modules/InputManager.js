@@ -2,12 +2,12 @@
 export default class InputManager {
   /**
    * @param {THREE.PerspectiveCamera} camera
-   * @param {Object} graphs - { phong: {root}, gouraud: {root}, blinn: {root} }
+   * @param {SceneGraph} sceneGraph - re-shaded when the mode changes
    * @param {Object} shadingState - { currentMode: string }
    */
-  constructor(camera, graphs, shadingState) {
+  constructor(camera, sceneGraph, shadingState) {
     this.camera = camera;
-    this.graphs = graphs;
+    this.sceneGraph = sceneGraph;
     this.state = shadingState;
 
     this._onKeyDown = this._onKeyDown.bind(this);
@@ -41,7 +41,6 @@ export default class InputManager {
   }
 
   _cycleShadingMode() {
-    const graphs = this.graphs;
     const mode = this.state.currentMode;
 
     let nextMode;
@@ -50,10 +49,7 @@ export default class InputManager {
     else nextMode = "phong";
 
     this.state.currentMode = nextMode;
-
-    graphs.phong.root.visible   = nextMode === "phong";
-    graphs.gouraud.root.visible = nextMode === "gouraud";
-    graphs.blinn.root.visible   = nextMode === "blinn";
+    this.sceneGraph.setShadingMode(nextMode);
 
     console.log("Switched shading to", nextMode);
   }
@@ -0,0 +1,230 @@
+// MachineDescription.js
+// Loading and validation of JSON machine definitions (see machines/*.json).
+//
+// A machine file looks like:
+//  {
+//    "name":  "Classic RGM",
+//    "parts": [ { "id", "type", "group", "material", "position", "rotation",
+//                 "layer"?, "mask"?, ...type params } ],
+//    "links": [ { "type", "from", "to", "event", ...check params } ],
+//    "stages":   { "STAGE": { "initial"?, "focus"?, "terminal"?, "timeout"? } },
+//    "triggers": [ { "on", "between"?, "while"?, "do": [ { "action", ... } ] } ]
+//  }
+// The CollisionSystem reports CONTACT_BEGIN / CONTACT_STAY / CONTACT_END
+// between colliders (filtered by each part's "layer" and "mask"), links add
+// rule-based events, and triggers (run by RGMController) react to both.
+import * as THREE from "three";
+import { getPartType, hasPartType, partTypes } from "./PartLibrary.js";
+
+// Contacts between colliders are found by the CollisionSystem on its own;
+// links are the remaining rule-based events. A "tipped" link (domino row ->
+// part) reports its "event", which it must name; a "hoop" link (ball -> hoop)
+// reports HOOP_PASS / HOOP_RIM / HOOP_MISS and needs no "event".
+export const LINK_TYPES = Object.freeze(["tipped", "hoop"]);
+
+// values of a stage's "terminal" key: reaching the stage ends the run
+export const STAGE_OUTCOMES = Object.freeze(["success", "failure"]);
+
+export const TRIGGER_ACTIONS = Object.freeze([
+  "enter",
+  "leave",
+  "activate",
+  "deactivate",
+  "stop",
+  "setVelocity",
+  "impulse",
+  "topple",
+  "release",
+]);
+
+// keys of rgmObjects besides the part ids (see RGMObjects.js), so no part
+// may be called that
+export const RESERVED_PART_IDS = Object.freeze([
+  "bodies",
+  "balls",
+  "dominoRows",
+  "pendulums",
+  "levers",
+  "springs",
+  "ropes",
+  "surfaces",
+  "colliders",
+  "views",
+  "links",
+]);
+
+// what an action's "part" may name instead of a part id: the two objects of
+// the event that ran the trigger
+export const EVENT_PARTS = Object.freeze(["$from", "$to"]);
+
+/**
+ * Fetch a machine definition and validate it.
+ * @param {string} url - path to a machine JSON file
+ * @returns {Promise<Object>} the parsed machine description
+ */
+export async function loadMachine(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`Failed to load machine ${url}: ${res.status}`);
+  }
+  return validateMachine(await res.json());
+}
+
+/**
+ * Checks that every part has a known type and a unique id, that every
+ * link refers to existing parts, and that triggers only use known actions,
+ * parts and stages. Throws on the first problem found.
+ * @param {Object} machine
+ * @returns {Object} the same machine, for chaining
+ */
+export function validateMachine(machine) {
+  if (!machine || !Array.isArray(machine.parts)) {
+    throw new Error("Machine description must have a 'parts' array");
+  }
+
+  const ids = new Set();
+  machine.parts.forEach((part) => {
+    if (!part.id) {
+      throw new Error(`Machine part without an id: ${JSON.stringify(part)}`);
+    }
+    if (ids.has(part.id)) {
+      throw new Error(`Duplicate machine part id '${part.id}'`);
+    }
+    if (RESERVED_PART_IDS.includes(part.id)) {
+      throw new Error(`Machine part id '${part.id}' is reserved`);
+    }
+    if (!hasPartType(part.type)) {
+      throw new Error(
+        `Unknown type '${part.type}' for machine part '${part.id}' (known: ${partTypes().join(", ")})`
+      );
+    }
+    ids.add(part.id);
+  });
+
+  machine.links = machine.links || [];
+  machine.links.forEach((link) => {
+    if (!LINK_TYPES.includes(link.type)) {
+      throw new Error(`Unknown link type '${link.type}' (${link.event})`);
+    }
+    if (!ids.has(link.from) || !ids.has(link.to)) {
+      throw new Error(`Link ${link.event || link.type} refers to a missing part: ${link.from} -> ${link.to}`);
+    }
+    if (link.type === "tipped" && !link.event) {
+      throw new Error(`Tipped link ${link.from} -> ${link.to} has no event`);
+    }
+  });
+
+  machine.stages = machine.stages || {};
+  Object.entries(machine.stages).forEach(([name, stage]) => {
+    if (stage.terminal !== undefined && !STAGE_OUTCOMES.includes(stage.terminal)) {
+      throw new Error(`Stage ${name} has unknown terminal outcome '${stage.terminal}'`);
+    }
+    if (stage.timeout !== undefined && !(stage.timeout > 0)) {
+      throw new Error(`Stage ${name} needs a positive timeout in seconds, got ${stage.timeout}`);
+    }
+  });
+  machine.triggers = machine.triggers || [];
+  const checkStage = (stage, where) => {
+    if (!(stage in machine.stages)) {
+      throw new Error(`${where} refers to undeclared stage '${stage}'`);
+    }
+  };
+
+  const colliders = new Set(colliderIdsOf(machine));
+  machine.triggers.forEach((trigger) => {
+    const where = `Trigger on ${trigger.on}`;
+    [].concat(trigger.while || []).forEach((s) => checkStage(s, where));
+    (trigger.between || []).forEach((id) => {
+      if (!colliders.has(id)) throw new Error(`${where} refers to missing part '${id}'`);
+    });
+
+    (trigger.do || []).forEach((action) => {
+      if (!TRIGGER_ACTIONS.includes(action.action)) {
+        throw new Error(`${where} has unknown action '${action.action}'`);
+      }
+      if (action.stage !== undefined) checkStage(action.stage, where);
+      const { part } = action;
+      if (part !== undefined && !EVENT_PARTS.includes(part) && !colliders.has(part)) {
+        const what = part.startsWith("$") ? "unknown event part" : "missing part";
+        throw new Error(`${where} refers to ${what} '${part}'`);
+      }
+    });
+  });
+
+  return machine;
+}
+
+/**
+ * Ids the CollisionSystem reports contacts with: every part id, plus
+ * "<row>.<index>" for each element of a row (e.g. each domino).
+ * @param {Object} machine
+ * @returns {string[]}
+ */
+export function colliderIdsOf(machine) {
+  const ids = [];
+  machine.parts.forEach((part) => {
+    ids.push(part.id);
+    const { count } = getPartType(part.type);
+    if (count) {
+      for (let i = 0; i < count(part); i++) ids.push(`${part.id}.${i}`);
+    }
+  });
+  return ids;
+}
+
+/**
+ * Collision filter of a part: its "layer" name (by default its type's) and
+ * the "mask" of layer names it collides with. Without a mask a part
+ * collides with every layer, except that static parts never collide with
+ * each other.
+ * @param {Object} part
+ * @returns {{ layer: string, mask: string[] | null }}
+ */
+export function collisionFilterOf(part) {
+  return {
+    layer: part.layer || getPartType(part.type).layer,
+    mask: part.mask || null,
+  };
+}
+
+// contact material used when a part does not set its own
+export const DEFAULT_SURFACE = Object.freeze({
+  restitution: 0.3,
+  friction: 0.02,
+});
+
+/**
+ * Contact material of a part ("restitution" and "friction" keys), with
+ * defaults filled in, and the velocity its surface moves at, in the part's
+ * own frame ("surfaceVelocity", e.g. a conveyor belt; zero by default).
+ * Friction drags whatever rests on the surface towards that velocity.
+ * @param {Object} part
+ * @returns {{ restitution: number, friction: number, surfaceVelocity: THREE.Vector3 }}
+ */
+export function surfaceOf(part) {
+  return {
+    restitution: part.restitution ?? DEFAULT_SURFACE.restitution,
+    friction: part.friction ?? DEFAULT_SURFACE.friction,
+    surfaceVelocity: toVector3(part.surfaceVelocity),
+  };
+}
+
+/**
+ * Reads a [x, y, z] triple from a part, falling back to a default.
+ * @param {number[]|undefined} arr
+ * @param {number[]} fallback
+ * @returns {THREE.Vector3}
+ */
+export function toVector3(arr, fallback = [0, 0, 0]) {
+  return new THREE.Vector3().fromArray(arr || fallback);
+}
+
+/**
+ * Applies a part's position / rotation (radians, XYZ euler) to an Object3D.
+ * @param {THREE.Object3D} object
+ * @param {Object} part
+ */
+export function applyTransform(object, part) {
+  object.position.copy(toVector3(part.position));
+  object.rotation.fromArray(part.rotation || [0, 0, 0]);
+}
@@ -0,0 +1,374 @@
+// MachineEditor.js
+// In-scene editor for the machine description. Click a part in the canvas
+// to select it (raycast against the scene graph), move / turn / resize it
+// with a transform gizmo, and edit its parameters in a side panel. Moving
+// and turning update the part's physics bodies live; resizing and panel
+// edits change geometry, so the edited description goes to `onRebuild`,
+// which builds the machine again. "Save" downloads the description as JSON.
+import * as THREE from "three";
+import { TransformControls } from "jsm/controls/TransformControls.js";
+import { placeBodies } from "./RGMObjects.js";
+import { validateMachine } from "./MachineDescription.js";
+import { getPartType } from "./PartLibrary.js";
+
+const PANEL_STYLE = `
+  position: fixed; top: 16px; right: 16px; width: 240px;
+  padding: 10px 12px; border-radius: 6px; display: none;
+  background: rgba(20, 20, 25, 0.85); color: #ddd;
+  font: 12px/1.4 monospace;
+`;
+const ROW_STYLE = "display: flex; align-items: center; gap: 4px; margin-top: 4px;";
+const LABEL_STYLE = "flex: 0 0 84px; overflow: hidden; text-overflow: ellipsis;";
+const INPUT_STYLE = `
+  flex: 1 1 0; min-width: 0; padding: 1px 3px;
+  background: #111; color: #ddd; border: 1px solid #444; font: inherit;
+`;
+const BUTTON_STYLE = `
+  flex: 1 1 0; padding: 2px 4px; cursor: pointer;
+  background: #333; color: #ddd; border: 1px solid #555; font: inherit;
+`;
+
+// gizmo modes, in the order T cycles through them
+const MODES = ["translate", "rotate", "scale"];
+const MODE_LABELS = { translate: "Move", rotate: "Turn", scale: "Resize" };
+
+// distance in pixels a press may move and still count as a click
+const CLICK_SLOP = 4;
+
+export default class MachineEditor {
+  /**
+   * @param {Object} options
+   * @param {THREE.Scene} options.scene - gets the gizmo
+   * @param {THREE.Camera} options.camera
+   * @param {HTMLCanvasElement} options.canvas
+   * @param {SceneGraph} options.sceneGraph - picked against
+   * @param {CameraController} [options.cameraController] - disabled while
+   *        the gizmo is dragged
+   * @param {(machine: Object) => void} options.onRebuild - called with the
+   *        edited description when the machine must be built again
+   * @param {HTMLElement} [options.container=document.body]
+   */
+  constructor({ scene, camera, canvas, sceneGraph, cameraController = null, onRebuild, container = document.body }) {
+    this.camera = camera;
+    this.canvas = canvas;
+    this.sceneGraph = sceneGraph;
+    this.cameraController = cameraController;
+    this.onRebuild = onRebuild;
+
+    this.machine = null;
+    this.simulation = null;
+    this.enabled = false;
+    this.selected = null; // part being edited
+    this.mode = "translate";
+
+    // the gizmo moves this stand-in, which is then copied into the part
+    this.handle = new THREE.Object3D();
+    this.handle.name = "EditorHandle";
+    scene.add(this.handle);
+
+    this.gizmo = new TransformControls(camera, canvas);
+    this.gizmo.addEventListener("dragging-changed", (e) => {
+      if (this.cameraController) this.cameraController.enabled = !e.value;
+      if (!e.value) this._onDragEnd();
+    });
+    this.gizmo.addEventListener("objectChange", () => this._onGizmoChange());
+    scene.add(this.gizmo);
+
+    this.raycaster = new THREE.Raycaster();
+    this._pressedAt = null;
+    canvas.addEventListener("pointerdown", (e) => {
+      // the gizmo's own listener ran first, so `axis` is set when it was hit
+      this._pressedAt = { x: e.clientX, y: e.clientY, onGizmo: this.gizmo.axis !== null };
+    });
+    canvas.addEventListener("pointerup", (e) => this._onPointerUp(e));
+
+    this._buildPanel(container);
+  }
+
+  /**
+   * Points the editor at a (re)built machine. The selection is kept when
+   * the part still exists.
+   * @param {Object} machine - the description the simulation was built from
+   * @param {Simulation} simulation
+   */
+  setWorld(machine, simulation) {
+    this.machine = machine;
+    this.simulation = simulation;
+    this.select(this.selected ? this.selected.id : null);
+  }
+
+  toggle() {
+    this.enabled = !this.enabled;
+    this.panel.style.display = this.enabled ? "block" : "none";
+
+    if (this.enabled) {
+      this.simulation.pause();
+    } else {
+      this.select(null);
+    }
+    console.log(`[MachineEditor] ${this.enabled ? "ON" : "OFF"}`);
+  }
+
+  /**
+   * @param {string} mode - "translate" | "rotate" | "scale"
+   */
+  setMode(mode) {
+    if (mode === "rotate" && this.selected && getPartType(this.selected.type).fixedRotation) {
+      mode = "translate";
+    }
+    this.mode = mode;
+    this.gizmo.setMode(mode);
+
+    Object.entries(this.modeButtons).forEach(([m, button]) => {
+      button.style.borderColor = m === mode ? "#9cf" : "#555";
+    });
+  }
+
+  cycleMode() {
+    this.setMode(MODES[(MODES.indexOf(this.mode) + 1) % MODES.length]);
+  }
+
+  /**
+   * Selects a part by id (null to clear) and puts the gizmo on it.
+   * @param {string|null} partId
+   */
+  select(partId) {
+    const part = partId ? this.machine.parts.find((p) => p.id === partId) : null;
+    this.selected = part || null;
+
+    if (!this.selected) {
+      this.gizmo.detach();
+    } else {
+      this.handle.position.fromArray(part.position || [0, 0, 0]);
+      this.handle.rotation.fromArray(part.rotation || [0, 0, 0]);
+      this.handle.scale.set(1, 1, 1);
+      this.gizmo.attach(this.handle);
+      this.setMode(this.mode);
+    }
+    this._renderFields();
+  }
+
+  /**
+   * Follows camera switches; call once per frame.
+   * @param {THREE.Camera} camera
+   */
+  update(camera) {
+    this.camera = camera;
+    this.gizmo.camera = camera;
+  }
+
+  /**
+   * Downloads the edited machine description.
+   */
+  save() {
+    const json = JSON.stringify(this.machine, null, 2);
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+    link.download = `${this.machine.name.toLowerCase().replace(/\W+/g, "-")}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  _onPointerUp(e) {
+    const pressed = this._pressedAt;
+    this._pressedAt = null;
+    if (!this.enabled || !pressed || pressed.onGizmo) return;
+    if (Math.hypot(e.clientX - pressed.x, e.clientY - pressed.y) > CLICK_SLOP) return;
+
+    const rect = this.canvas.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(ndc, this.camera);
+
+    const hit = this.raycaster
+      .intersectObject(this.sceneGraph.graph.root, true)
+      .find((h) => h.object.userData.partId);
+    this.select(hit ? hit.object.userData.partId : null);
+  }
+
+  // gizmo moved: copy the handle into the part and move its bodies
+  _onGizmoChange() {
+    const part = this.selected;
+    if (!part) return;
+
+    if (this.mode === "scale") {
+      this._viewsOf(part).forEach(({ object }) => object.scale.copy(this.handle.scale));
+      return;
+    }
+
+    part.position = this.handle.position.toArray().map(round);
+    if (!getPartType(part.type).fixedRotation) {
+      part.rotation = this.handle.rotation.toArray().slice(0, 3).map(round);
+    }
+    placeBodies(this.simulation.rgm, part);
+    this.simulation.animationSystem.resetMeshes();
+    this._renderFields();
+  }
+
+  // resizing is folded into the part's dimensions once the drag ends
+  _onDragEnd() {
+    const part = this.selected;
+    if (!part || this.mode !== "scale") return;
+
+    const scale = this.handle.scale.clone();
+    this.handle.scale.set(1, 1, 1);
+    if (scale.equals(this.handle.scale)) return;
+
+    this._edit(() => scalePart(part, scale));
+  }
+
+  /**
+   * Applies a change to the selected part, checks the whole description
+   * and rebuilds the machine; a change that makes the description invalid
+   * (e.g. a trigger naming a domino that no longer exists) is undone.
+   */
+  _edit(change) {
+    const part = this.selected;
+    const backup = JSON.parse(JSON.stringify(part));
+
+    try {
+      change();
+      validateMachine(this.machine);
+    } catch (err) {
+      Object.keys(part).forEach((key) => delete part[key]);
+      Object.assign(part, backup);
+      this.errorLine.textContent = err.message;
+      this.select(part.id);
+      return;
+    }
+
+    this.errorLine.textContent = "";
+    this.onRebuild(this.machine);
+  }
+
+  _viewsOf(part) {
+    return this.simulation.rgm.views.filter(({ body }) =>
+      body.id === part.id || body.id.startsWith(`${part.id}.`)
+    );
+  }
+
+  _buildPanel(container) {
+    this.panel = document.createElement("div");
+    this.panel.style.cssText = PANEL_STYLE;
+
+    // typing numbers must not reach the app's keyboard shortcuts
+    this.panel.addEventListener("keydown", (e) => e.stopPropagation());
+
+    const title = document.createElement("div");
+    title.textContent = "EDITOR  (click a part)";
+    this.panel.appendChild(title);
+
+    const modes = document.createElement("div");
+    modes.style.cssText = ROW_STYLE;
+    this.modeButtons = {};
+    MODES.forEach((mode) => {
+      const button = this._button(MODE_LABELS[mode], () => this.setMode(mode));
+      this.modeButtons[mode] = button;
+      modes.appendChild(button);
+    });
+    this.panel.appendChild(modes);
+
+    this.fields = document.createElement("div");
+    this.panel.appendChild(this.fields);
+
+    this.errorLine = document.createElement("div");
+    this.errorLine.style.cssText = "margin-top: 6px; color: #f88;";
+    this.panel.appendChild(this.errorLine);
+
+    const actions = document.createElement("div");
+    actions.style.cssText = ROW_STYLE;
+    actions.appendChild(this._button("Save machine", () => this.save()));
+    this.panel.appendChild(actions);
+
+    container.appendChild(this.panel);
+  }
+
+  _button(label, onClick) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.style.cssText = BUTTON_STYLE;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  // one row per parameter of the selected part; rotation in degrees
+  _renderFields() {
+    this.fields.replaceChildren();
+    const part = this.selected;
+    if (!part) return;
+
+    const header = document.createElement("div");
+    header.style.marginTop = "8px";
+    header.textContent = `${part.id} (${part.type})`;
+    this.fields.appendChild(header);
+
+    // parameters offered by the part type (see PartLibrary.js)
+    const { fields, fixedRotation } = getPartType(part.type);
+    const rows = { position: 3 };
+    if (!fixedRotation) rows.rotation = 3;
+    Object.assign(rows, fields);
+
+    Object.entries(rows).forEach(([key, size]) => {
+      const degrees = key === "rotation";
+      const toShown = (v) => round(degrees ? THREE.MathUtils.radToDeg(v) : v);
+      const fromShown = (v) => (degrees ? THREE.MathUtils.degToRad(v) : v);
+
+      const row = document.createElement("div");
+      row.style.cssText = ROW_STYLE;
+      const label = document.createElement("span");
+      label.style.cssText = LABEL_STYLE;
+      label.textContent = degrees ? "rotation°" : key;
+      row.appendChild(label);
+
+      const values = size === 1 ? [part[key] ?? 0] : part[key] || new Array(size).fill(0);
+      values.forEach((value, i) => {
+        const input = document.createElement("input");
+        input.type = "number";
+        input.step = "any";
+        input.value = toShown(value);
+        input.style.cssText = INPUT_STYLE;
+        input.addEventListener("change", () => {
+          const number = fromShown(Number(input.value));
+          if (!Number.isFinite(number)) return;
+
+          this._edit(() => {
+            if (size === 1) {
+              part[key] = number;
+            } else {
+              part[key] = [...values];
+              part[key][i] = number;
+            }
+          });
+        });
+        row.appendChild(input);
+      });
+
+      this.fields.appendChild(row);
+    });
+  }
+}
+
+// keeps saved descriptions readable
+function round(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+/**
+ * Folds a gizmo scale into a part's dimensions, as its type does it; round
+ * parts take the component that changed most.
+ */
+function scalePart(part, scale) {
+  const { resize, fields } = getPartType(part.type);
+  if (!resize) return;
+
+  const s = scale.toArray();
+  const uniform = s.reduce((a, b) => (Math.abs(b - 1) > Math.abs(a - 1) ? b : a));
+  resize(part, s, uniform);
+
+  Object.keys(fields).forEach((key) => {
+    if (typeof part[key] === "number") part[key] = round(part[key]);
+    else if (Array.isArray(part[key])) part[key] = part[key].map(round);
+  });
+}
@@ -1,6 +1,12 @@
 // MaterialFactory.js (Fixed for Texture Rendering)
+// Every material is made for one shading mode. Switching the mode swaps a
+// mesh's material for its variant in the new mode (see getVariant): the
+// variants of a material share one cache keyed by mode, so each is compiled
+// once and the scene graph itself is never duplicated.
 import * as THREE from "three";
 
+export const SHADING_MODES = Object.freeze(["phong", "gouraud", "blinn"]);
+
 async function loadShader(url) {
   const res = await fetch(url);
   if (!res.ok) {
@@ -31,25 +37,45 @@ export default class MaterialFactory {
     }, lightHandler);
   }
 
-  constructor({ phongVS, phongFS, gouraudVS, gouraudFS, blinnVS, blinnFS }, lightHandler = null) {
-    this.phongVS = phongVS;
-    this.phongFS = phongFS;
-    this.gouraudVS = gouraudVS;
-    this.gouraudFS = gouraudFS;
-    this.blinnVS = blinnVS;
-    this.blinnFS = blinnFS;
+  /**
+   * Factory for running without a browser (headless.js): no shader fetch and
+   * no texture loading. Materials keep their uniforms but are never compiled.
+   */
+  static createHeadless() {
+    const empty = "";
+    return new MaterialFactory({
+      phongVS: empty, phongFS: empty,
+      gouraudVS: empty, gouraudFS: empty,
+      blinnVS: empty, blinnFS: empty,
+    }, null, { loadTextures: false });
+  }
+
+  constructor({ phongVS, phongFS, gouraudVS, gouraudFS, blinnVS, blinnFS }, lightHandler = null, { loadTextures = true } = {}) {
+    // shader sources per shading mode
+    this.shaders = {
+      phong:   { vertexShader: phongVS,   fragmentShader: phongFS },
+      gouraud: { vertexShader: gouraudVS, fragmentShader: gouraudFS },
+      blinn:   { vertexShader: blinnVS,   fragmentShader: blinnFS },
+    };
+
+    // material -> { recipe, byMode }, shared by all variants of a material
+    this.variants = new WeakMap();
 
     this.lightHandler = lightHandler;
     this.textureLoader = new THREE.TextureLoader();
 
-    // Load textures with proper settings
-    this.checkerTex = this._loadTexture("../../A3/Textures/2.jpg", 2);
-    this.woodTex    = this._loadTexture("../../A3/Textures/wood.jpg", 2);
-    
-    console.log("[MaterialFactory] Textures loaded:", {
-      checker: this.checkerTex,
-      wood: this.woodTex
-    });
+    // Load textures with proper settings (headless: untextured materials)
+    this.checkerTex = null;
+    this.woodTex    = null;
+    if (loadTextures) {
+      this.checkerTex = this._loadTexture("../../A3/Textures/2.jpg", 2);
+      this.woodTex    = this._loadTexture("../../A3/Textures/wood.jpg", 2);
+
+      console.log("[MaterialFactory] Textures loaded:", {
+        checker: this.checkerTex,
+        wood: this.woodTex
+      });
+    }
   }
 
   /**
@@ -127,7 +153,43 @@ export default class MaterialFactory {
     };
   }
 
-  _createShaderMaterial(mode, { color, map = null, shininess = 30 }) {
+  /**
+   * The same material in another shading mode: same colour, texture and
+   * shininess, other shaders. Made on first use, then reused.
+   * @param {THREE.ShaderMaterial} material - made by this factory
+   * @param {string} mode - "phong" | "gouraud" | "blinn"
+   * @returns {THREE.ShaderMaterial}
+   */
+  getVariant(material, mode) {
+    const entry = this.variants.get(material);
+    if (!entry) return material; // not one of ours (e.g. a helper's)
+
+    if (!entry.byMode[mode]) {
+      const variant = this._createShaderMaterial(mode, entry.recipe);
+      entry.byMode[mode] = variant;
+      this.variants.set(variant, entry);
+    }
+    return entry.byMode[mode];
+  }
+
+  /**
+   * Frees a material and its variants in every mode.
+   * @param {THREE.Material} material
+   */
+  disposeVariants(material) {
+    const entry = this.variants.get(material);
+    if (!entry) {
+      material.dispose();
+      return;
+    }
+    Object.values(entry.byMode).forEach((variant) => {
+      variant.dispose();
+      this.variants.delete(variant);
+    });
+  }
+
+  _createShaderMaterial(mode, recipe) {
+    const { color, map = null, shininess = 30, side = THREE.FrontSide } = recipe;
     const useTexture = !!map;
 
     // Get light uniforms from LightHandler or use defaults
@@ -160,11 +222,10 @@ export default class MaterialFactory {
       ...uniformsFromLights
     };
 
-    const shaders = mode === "gouraud" 
-      ? { vertexShader: this.gouraudVS, fragmentShader: this.gouraudFS }
-      : (mode === "blinn" 
-          ? { vertexShader: this.blinnVS, fragmentShader: this.blinnFS }
-          : { vertexShader: this.phongVS, fragmentShader: this.phongFS });
+    const shaders = this.shaders[mode];
+    if (!shaders) {
+      throw new Error(`[MaterialFactory] Unknown shading mode '${mode}'`);
+    }
 
     // CRITICAL: Add defines for shader preprocessing
     const defines = {};
@@ -177,12 +238,18 @@ export default class MaterialFactory {
       fragmentShader: shaders.fragmentShader,
       uniforms,
       defines,  // IMPORTANT: This was missing!
+      side,
     });
 
     // Tag material with mode for easier debugging/identification
     material.userData.shadingMode = mode;
     material.userData.hasTexture = useTexture;
 
+    // start of a new variant family unless getVariant registers it
+    if (!this.variants.has(material)) {
+      this.variants.set(material, { recipe, byMode: { [mode]: material } });
+    }
+
     // Debug log for texture materials
     if (useTexture) {
       console.log(`[MaterialFactory] Created material with texture:`, {
@@ -253,4 +320,14 @@ export default class MaterialFactory {
       shininess: 40,
     });
   }
+
+  // open sheet metal, seen from inside and out
+  createFunnelMaterial(mode) {
+    return this._createShaderMaterial(mode, {
+      color: 0xb0b8c0,
+      map: null,
+      shininess: 60,
+      side: THREE.DoubleSide,
+    });
+  }
 }
\ No newline at end of file
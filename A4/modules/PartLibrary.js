@@ -0,0 +1,92 @@
+// PartLibrary.js
+// Registry of machine component types. A type bundles everything the
+// systems need to know about one kind of part, so a new component is one
+// module in modules/parts/ plus a registerPartType call:
+//
+//   type         name used in the machine description ("ball", "funnel", ...)
+//   behaviour    how the physics moves its bodies: "static" (a surface the
+//                balls collide with), "ball", "pendulum", "dominoRow",
+//                "lever" (a plank on a hinge), "spring" (a plunger) or
+//                "rope" (two ends hanging from a pulley)
+//   layer        default collision layer
+//   materials    default material name per material key of the part
+//                ({ material: "woodTrack" }); the part's own keys win
+//   fields       parameters the editor offers: key -> number of components
+//
+//   build(parent, part, material)      scene graph builder (SceneGraph): adds
+//       the meshes under `parent` and returns what graph.objects keeps for
+//       the part; material(key) is the material for one of its keys
+//   createBodies(part, pose)           physics bodies with their collision
+//       shapes (RGMObjects), at the part's world pose { position,
+//       quaternion }: a Body, or a Body[] for a row
+//   placeBodies?(bodies, part, pose)   moves them to an edited pose
+//       (default: the body takes the part's pose)
+//   reset?(bodies, part)               initial logical state (RGMController)
+//   sweep?(body, out)                  fills and returns `out` { start, end,
+//       radius } for a sphere moving over the last step, for continuous
+//       collision (CollisionSystem)
+//   count?(part)                       number of elements of a row (or of
+//       the ends of a rope), which collide as "<id>.<index>"
+//   resize?(part, scale, uniform)      folds an editor gizmo scale ([x, y, z],
+//       and the component that changed most, for round parts) into the
+//       part's dimensions
+//   fixedRotation?                     the physics ignores the part's rotation
+import Ground from "./parts/Ground.js";
+import Box from "./parts/Box.js";
+import Ball from "./parts/Ball.js";
+import Hoop from "./parts/Hoop.js";
+import DominoRow from "./parts/DominoRow.js";
+import Pendulum from "./parts/Pendulum.js";
+import Funnel from "./parts/Funnel.js";
+import Seesaw from "./parts/Seesaw.js";
+import Plunger from "./parts/Plunger.js";
+import Conveyor from "./parts/Conveyor.js";
+import Pulley from "./parts/Pulley.js";
+
+export const BEHAVIOURS = Object.freeze(["static", "ball", "pendulum", "dominoRow", "lever", "spring", "rope"]);
+
+const registry = new Map();
+
+/**
+ * Adds a component type to the library.
+ * @param {Object} definition - see the top of this file
+ */
+export function registerPartType(definition) {
+  const { type, behaviour } = definition;
+  if (registry.has(type)) {
+    throw new Error(`[PartLibrary] Part type '${type}' is already registered`);
+  }
+  if (!BEHAVIOURS.includes(behaviour)) {
+    throw new Error(`[PartLibrary] Part type '${type}' has unknown behaviour '${behaviour}'`);
+  }
+  ["build", "createBodies"].forEach((fn) => {
+    if (typeof definition[fn] !== "function") {
+      throw new Error(`[PartLibrary] Part type '${type}' has no ${fn}()`);
+    }
+  });
+
+  registry.set(type, Object.freeze({ materials: {}, fields: {}, ...definition }));
+}
+
+/**
+ * @param {string} type
+ * @returns {Object} the type's definition
+ */
+export function getPartType(type) {
+  const definition = registry.get(type);
+  if (!definition) {
+    throw new Error(`[PartLibrary] Unknown part type '${type}'`);
+  }
+  return definition;
+}
+
+export function hasPartType(type) {
+  return registry.has(type);
+}
+
+// names of all registered types
+export function partTypes() {
+  return [...registry.keys()];
+}
+
+[Ground, Box, Ball, Hoop, DominoRow, Pendulum, Funnel, Seesaw, Plunger, Conveyor, Pulley].forEach(registerPartType);
@@ -1,115 +1,246 @@
 // RGMController.js
-export const RGMState = Object.freeze({
-  PENDULUM_SWINGING: "PENDULUM_SWINGING",
-  BALL1_ROLLING: "BALL1_ROLLING",
-  BALL1_FALLING: "BALL1_FALLING",
-  DOMINOS_FALLING: "DOMINOS_FALLING",
-  BALL2_ROLLING: "BALL2_ROLLING",
-  DONE: "DONE",
-});
+// Runs the trigger graph of a machine description:
+//
+//   "stages":   { "NAME": { "initial"?: bool, "focus"?: partId, "timeout"?: seconds }, ... }
+//   "triggers": [ { "on": EVENT, "between"?: [partA, partB], "while"?: STAGE | [STAGE],
+//                   "do": [ { "action": ..., ... }, ... ] } ]
+//
+// Any number of stages can be active at once, so a machine can branch into
+// several chains running in parallel. A trigger fires for every collision
+// event of its type between the `between` parts (in either order) while at
+// least one of its `while` stages is active. A row id in `between` stands
+// for any of its elements ("dominos" matches "dominos.3"), and a `between`
+// naming a single part matches every event of that part (e.g. LEVER_TIPPED
+// of one seesaw). Entering a stage marked "terminal" ends the run with that
+// outcome. A stage with a "timeout" that is still active that many seconds
+// after it was entered raises STAGE_TIMEOUT, once, for the triggers whose
+// `while` names it (e.g. to fail a run whose ball got stuck).
+import * as THREE from "three";
+import { getPartType } from "./PartLibrary.js";
 
 export default class RGMController {
-  constructor(rgmObjects) {
+  constructor(rgmObjects, machine) {
     this.rgm = rgmObjects;
-    this.state = RGMState.PENDULUM_SWINGING;
+    this.machine = machine;
+    this.stageDefs = machine.stages || {};
+    this.triggers = machine.triggers || [];
+
+    // active stages, in the order they were entered
+    this.activeStages = [];
 
     // initial conditions
-    this._reset();
+    this.reset();
     console.log("Rgm reset")
   }
 
-  _reset() {
-    // set initial logical positions from meshes (e.g., phong branch)
-    const b1 = this.rgm.ball1.meshes.phong;
-    this.rgm.ball1.position.copy(b1.position);
-    this.rgm.ball1.velocity.set(0, 0, 0);
-    this.rgm.ball1.active = false;
+  /**
+   * Most recently entered stage that is still active (null once every
+   * stage has been left).
+   */
+  get state() {
+    const n = this.activeStages.length;
+    return n > 0 ? this.activeStages[n - 1] : null;
+  }
 
-    const b2 = this.rgm.ball2.meshes.phong;
-    this.rgm.ball2.position.copy(b2.position);
-    this.rgm.ball2.velocity.set(0, 0, 0);
-    this.rgm.ball2.active = false;
+  hasStage(stage) {
+    return this.activeStages.includes(stage);
+  }
+
+  /**
+   * "success" / "failure" once a terminal stage has been entered, else null.
+   * The controller ignores all further events from then on.
+   */
+  get outcome() {
+    const terminal = this.activeStages.find((s) => this.stageDefs[s].terminal);
+    return terminal ? this.stageDefs[terminal].terminal : null;
+  }
 
-    this.rgm.dominos.forEach((d) => {
-      d.angle = 0;
-      d.angularVelocity = 0;
-      d.fallen = false;
+  /**
+   * Part id the camera / tracking light should follow for the current state.
+   */
+  getFocusPart() {
+    const def = this.stageDefs[this.state];
+    return def ? def.focus || null : null;
+  }
+
+  /**
+   * Puts every part back to its initial logical state from the machine
+   * description and re-enters the initial stages. Meshes follow on the
+   * next sync (see Simulation.reset).
+   */
+  reset() {
+    this.machine.parts.forEach((part) => {
+      const { reset } = getPartType(part.type);
+      if (reset) reset(this.rgm[part.id], part);
     });
 
-    this.rgm.pendulum.angle = -0.6;
-    this.rgm.pendulum.angularVelocity = 0;
-    this.rgm.pendulum.active = true;
+    this.activeStages = Object.keys(this.stageDefs).filter(
+      (name) => this.stageDefs[name].initial
+    );
+    this.time = 0;
+    // stage -> time it was entered, while its timeout is still pending
+    this.enteredAt = new Map(this.activeStages.map((stage) => [stage, 0]));
 
     console.log("initial values set")
   }
 
   update(dt, collisionEvents) {
+    if (this.outcome) return;
+    this.time += dt;
+
+    // react to collisions, then to stages that waited too long
+    collisionEvents.forEach((ev) => this._react(ev));
+    this._timeouts().forEach((ev) => this._react(ev));
+  }
+
+  _react(ev) {
+    this.triggers.forEach((trigger) => {
+      const matched = this._matches(trigger, ev);
+      if (matched) this._fire(trigger, matched);
+    });
+  }
+
+  // STAGE_TIMEOUT events of the active stages whose timeout ran out
+  _timeouts() {
+    const events = [];
+    this.enteredAt.forEach((time, stage) => {
+      const { timeout } = this.stageDefs[stage];
+      if (timeout === undefined || this.time - time < timeout) return;
+
+      this.enteredAt.delete(stage);
+      events.push({ type: "STAGE_TIMEOUT", a: null, b: null, from: null, to: null, stage });
+    });
+    return events;
+  }
+
+  /**
+   * Returns the event oriented like the trigger's `between` pair (so that
+   * "$from" is its first part), or null when the trigger does not apply.
+   */
+  _matches(trigger, ev) {
+    if (trigger.on !== ev.type) return null;
+
+    if (trigger.while) {
+      const stages = [].concat(trigger.while);
+      if (!stages.some((s) => this.hasStage(s))) return null;
+      // a timeout is only news to the triggers waiting in that stage
+      if (ev.stage !== undefined && !stages.includes(ev.stage)) return null;
+    }
 
-    // react to collisions
-    collisionEvents.forEach((ev) => {
-      switch (ev.type) {
-        case "PENDULUM_HIT_BALL1":
-          this._onPendulumHitBall1(ev);
+    if (!trigger.between) return ev;
+
+    const [a, b] = trigger.between;
+    const matchesB = (id) => b === undefined || this._isPart(id, b);
+    if (this._isPart(ev.a, a) && matchesB(ev.b)) return ev;
+    if (this._isPart(ev.b, a) && matchesB(ev.a)) {
+      return {
+        ...ev,
+        a: ev.b,
+        b: ev.a,
+        from: ev.to,
+        to: ev.from,
+        normal: ev.normal ? ev.normal.clone().negate() : null,
+      };
+    }
+    return null;
+  }
+
+  _isPart(colliderId, id) {
+    if (colliderId === null) return false;
+    return colliderId === id || colliderId.startsWith(`${id}.`);
+  }
+
+  _fire(trigger, ev) {
+    trigger.do.forEach((action) => {
+      switch (action.action) {
+        case "enter":
+          this._enterStage(action.stage);
+          break;
+        case "leave":
+          this._leaveStage(action.stage);
+          break;
+        case "activate":
+          this._resolve(action.part, ev).active = true;
+          break;
+        case "deactivate":
+          this._resolve(action.part, ev).active = false;
+          break;
+        case "stop":
+          this._stop(this._resolve(action.part, ev));
           break;
-        case "BALL1_HIT_RAMP":
-          this._onBall1HitRamp(ev);
+        case "setVelocity":
+          this._resolve(action.part, ev).velocity.fromArray(action.velocity);
           break;
-        case "BALL1_HIT_FIRST_DOMINO":
-          this._onBall1HitFirstDomino(ev);
+        case "impulse":
+          this._impulse(this._resolve(action.part, ev), action, ev);
           break;
-        case "DOMINO_HIT_NEXT":
-          this._onDominoHitNext(ev);
+        case "topple":
+          this._topple(this._resolve(action.part, ev), action);
           break;
-        case "DOMINO_HIT_BALL2":
-          this._onDominohit2(ev);
+        case "release":
+          this._resolve(action.part, ev).latched = false;
           break;
       }
     });
   }
 
-  
-  _onPendulumHitBall1({ ball1 }) {
-    if (this.state !== RGMState.PENDULUM_SWINGING) return;
-
-    this.rgm.pendulum.angularVelocity = 0;
-    this.rgm.pendulum.active = true;
-
+  /**
+   * Action targets are part ids, "<row>.<index>" for an element of a row,
+   * or "$from" / "$to" for the two objects of the collision event (e.g. the
+   * domino a ball ran into).
+   */
+  _resolve(ref, ev) {
+    if (ref === "$from") return ev.from;
+    if (ref === "$to") return ev.to;
+    if (ref in this.rgm) return this.rgm[ref];
+
+    const [row, index] = ref.split(".");
+    return this.rgm[row][Number(index)];
+  }
 
-    this.rgm.ball1.active = true;
-    this.rgm.ball1.velocity.set(2.0, 0, 0);
-    this.state = RGMState.BALL1_ROLLING;
+  _enterStage(stage) {
+    if (this.hasStage(stage)) return;
+    this.activeStages.push(stage);
+    this.enteredAt.set(stage, this.time);
+    console.log(`[RGMController] enter ${stage}`);
 
+    const { terminal } = this.stageDefs[stage];
+    if (terminal) console.log(`[RGMController] finished: ${terminal}`);
   }
-  _onBall1HitRamp(ev){
-    if (this.state !== RGMState.BALL1_ROLLING) return;
-    this.state = RGMState.BALL1_FALLING;
-    this.rgm.ball1.velocity.set(0, 0, 0);
-  }
-  _onBall1HitFirstDomino({ball,domino}){
-    if (this.state !== RGMState.BALL1_FALLING) return;
-    this.state = RGMState.DOMINOS_FALLING;
-    ball.velocity.set(0, 0, 0);
-    
-    domino.fallen = true;
-    domino.angularVelocity = -4.0;
-    this.state = RGMState.DOMINOS_FALLING;
 
+  _leaveStage(stage) {
+    this.activeStages = this.activeStages.filter((s) => s !== stage);
+    this.enteredAt.delete(stage);
   }
 
-  _onDominoHitNext({ from, to }) {
-    if (this.state !== RGMState.DOMINOS_FALLING) return;
+  _stop(obj) {
+    if (obj.velocity) obj.velocity.set(0, 0, 0);
+    if (obj.angularVelocity?.isVector3) obj.angularVelocity.set(0, 0, 0);
+    else if (obj.angularVelocity !== undefined) obj.angularVelocity = 0;
+  }
 
-    if (!to.fallen) {
-      to.fallen = true;
-      to.angularVelocity = from.angularVelocity; // same speed/direction
+  /**
+   * Velocity change on a body: either an explicit `velocity` vector, or
+   * `speed` along the event's contact normal, pushing the body away from
+   * the event's source (or away from its target when the part is "$from").
+   */
+  _impulse(obj, { velocity, speed, part }, ev) {
+    if (velocity) {
+      obj.velocity.add(new THREE.Vector3().fromArray(velocity));
+    } else if (ev.normal) {
+      const sign = part === "$from" ? 1 : -1;
+      obj.velocity.addScaledVector(ev.normal, sign * speed);
     }
   }
-  
-  _onDominohit2({ball}){
-    if (this.state !== RGMState.DOMINOS_FALLING) return;
-    this.state = RGMState.BALL2_ROLLING;
 
-    ball.velocity.set(2, 0, 0);
-    ball.active = true;
+  /**
+   * Knocks a standing domino over with an initial angular velocity; gravity
+   * and the dominos it hits take it from there.
+   */
+  _topple(domino, { angularVelocity }) {
+    if (domino.fallen) return;
+
+    domino.fallen = true;
+    domino.angularVelocity = angularVelocity;
   }
 }
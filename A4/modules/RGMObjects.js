@@ -0,0 +1,123 @@
+// RGMObjects.js
+// rgmObjects builder: the logical state the simulation systems work on.
+// Built from the machine description alone, so it needs no scene graph;
+// bindMeshes attaches the render meshes afterwards.
+import * as THREE from "three";
+import { toVector3, collisionFilterOf } from "./MachineDescription.js";
+import { getPartType } from "./PartLibrary.js";
+
+// rgm list the bodies of each part behaviour go to
+const BEHAVIOUR_LISTS = Object.freeze({
+  static: "surfaces",
+  ball: "balls",
+  pendulum: "pendulums",
+  dominoRow: "dominoRows",
+  lever: "levers",
+  spring: "springs",
+  rope: "ropes",
+});
+
+/**
+ * Every part of the machine description gets an entry keyed by its id: a
+ * Body (an array of them for a row) holding its logical state, made by its
+ * part type (see PartLibrary.js). The lists next to them take names no part
+ * may have (RESERVED_PART_IDS in MachineDescription.js).
+ *
+ * @param {Object} machine - machine description
+ * @returns {Object} rgmObjects
+ */
+export function buildRGMObjects(machine) {
+  const rgm = {
+    bodies: [],    // every body, parts and row elements
+    balls: [],     // simulated spheres
+    dominoRows: [], // rows of dominos toppling on their base edge
+    pendulums: [],  // swinging rods with a bob
+    levers: [],    // planks turning on a hinge (seesaws)
+    springs: [],   // plungers pushed by a coil spring
+    ropes: [],     // [end, end] pairs hanging from a pulley
+    surfaces: [],  // static parts the balls collide with
+    colliders: [], // { id, object, shapes, layer, mask } for the CollisionSystem
+    views: [],     // { body, object } render meshes, see bindMeshes
+  };
+
+  machine.parts.forEach((part) => {
+    const def = getPartType(part.type);
+    rgm[part.id] = def.createBodies(part, poseOf(part));
+    rgm[BEHAVIOUR_LISTS[def.behaviour]].push(rgm[part.id]);
+  });
+
+  machine.parts.forEach((part) => {
+    const filter = collisionFilterOf(part);
+    const obj = rgm[part.id];
+
+    [].concat(obj).forEach((body) => {
+      rgm.bodies.push(body);
+      rgm.colliders.push({ id: body.id, object: body, shapes: body.shapes, ...filter });
+    });
+  });
+
+  // rule-based events the CollisionSystem watches for
+  rgm.links = machine.links;
+
+  return rgm;
+}
+
+/**
+ * Binds the meshes of a scene graph to the bodies with the same id, as
+ * views: AnimationSystem places them on their body's pose every frame.
+ * Row elements bind by index (into the part's `elements` when its graph
+ * object has more than them), a pendulum, lever or plunger through its
+ * pivot. The fixed `base` of such a part (a seesaw's fulcrum, the fixed end
+ * of a spring) binds to the body's unturned base pose, and a spring's coil
+ * (`stretch`) is scaled to the spring's length. A conveyor's `belt` has
+ * its texture scrolled by how far the belt has run, and the `rope` of a
+ * hanging end is stretched from its anchor down to the end.
+ *
+ * @param {Object} rgm - result of buildRGMObjects
+ * @param {Object} graph - result of SceneGraph.build, same machine
+ */
+export function bindMeshes(rgm, graph) {
+  rgm.views = rgm.bodies.flatMap((body) => {
+    const [id, index] = body.id.split(".");
+    const object = graph.objects[id];
+    const view = index === undefined ? object : (object.elements || object)[Number(index)];
+    const views = [{ body, object: view.pivot || view }];
+    if (view.base) views.push({ body, object: view.base, base: true });
+    if (view.stretch) views.push({ body, object: view.stretch, stretch: true });
+    if (view.belt) views.push({ body, object: view.belt, belt: true });
+    if (view.rope) views.push({ body, object: view.rope, rope: true });
+    return views;
+  });
+}
+
+/**
+ * Moves the bodies of a part to its (edited) position / rotation, keeping
+ * their other state: angles, velocities, flags. Dimensions, counts and
+ * masses are not picked up; those need a rebuild.
+ *
+ * @param {Object} rgm - result of buildRGMObjects
+ * @param {Object} part - part of the machine the rgm was built from
+ */
+export function placeBodies(rgm, part) {
+  const pose = poseOf(part);
+  const obj = rgm[part.id];
+  const def = getPartType(part.type);
+
+  if (def.placeBodies) {
+    def.placeBodies(obj, part, pose);
+  } else {
+    obj.position.copy(pose.position);
+    obj.quaternion.copy(pose.quaternion);
+    obj.updateMatrix();
+  }
+}
+
+// world pose of a part from its position / rotation
+function poseOf(part) {
+  return {
+    position: toVector3(part.position),
+    quaternion: new THREE.Quaternion().setFromEuler(
+      new THREE.Euler().fromArray(part.rotation || [0, 0, 0])
+    ),
+  };
+}
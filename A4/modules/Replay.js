@@ -0,0 +1,443 @@
+// Replay.js
+// Recording and playback of simulation runs. A recording holds, for every
+// fixed step, the dynamic state of all parts (ball position / velocity
+// and spin, pendulum, domino and lever angles and their angular velocities, spring
+// lengths and speeds, rope end positions / velocities, how far each conveyor
+// belt has run, active / fallen / latched flags), plus the controller's stage changes and the collision events.
+// Playback writes a recorded frame back into the rgm objects and places the
+// meshes from it, without running any physics, so it can seek anywhere.
+//
+// Log format (JSON):
+//  {
+//    "format": "rgm-replay", "version": 2, "machine": name, "rate": 240,
+//    "layout": { "balls": [id], "pendulums": [id], "dominoRows": { id: count },
+//                "levers"?: [id], "springs"?: [id], "ropes"?: [id],
+//                "spins"?: [id], "belts"?: [id] }, (the last five only when
+//                present; spins are the balls' rotations and belts the
+//                conveyors' travel, after everything else)
+//    "frames": [ [numbers, in layout order], ... ],   (one per step)
+//    "stages": [ [frame, [STAGE, ...]], ... ],       (only when they change)
+//    "events": [ [frame, TYPE, a, b], ... ]           (CONTACT_STAY left out)
+//  }
+// Version 1 logs have no spins and logs from before belts were recorded no
+// belts; they are read as balls that never turn and belts that stand still.
+import { getPartType } from "./PartLibrary.js";
+
+const FORMAT = "rgm-replay";
+const VERSION = 2;
+
+// numbers per part in a frame
+const BALL_SIZE = 7;     // px, py, pz, vx, vy, vz, active
+const PENDULUM_SIZE = 3; // angle, angularVelocity, active
+const DOMINO_SIZE = 3;   // angle, angularVelocity, fallen
+const LEVER_SIZE = 2;    // angle, angularVelocity
+const SPRING_SIZE = 3;   // length, speed, latched
+const ROPE_END_SIZE = 6; // px, py, pz, vx, vy, vz (two ends per rope)
+const SPIN_SIZE = 7;     // qx, qy, qz, qw, wx, wy, wz
+const BELT_SIZE = 1;     // travel
+
+/**
+ * Records a Simulation step by step. The recording ends with the step in
+ * which the run finishes (a terminal stage), or once it holds `maxSeconds`;
+ * a reset of the simulation starts it over from the initial state.
+ */
+export class SimulationRecorder {
+  /**
+   * @param {Simulation} simulation
+   * @param {Object} [options]
+   * @param {number} [options.maxSeconds=120] - longest recording kept
+   */
+  constructor(simulation, { maxSeconds = 120 } = {}) {
+    this.simulation = simulation;
+    this.layout = layoutOf(simulation.machine, simulation.rgm);
+    this.maxFrames = Math.round(maxSeconds / simulation.loop.step) + 1;
+
+    this.frames = [];
+    this.stages = [];
+    this.events = [];
+    this.recording = false;
+    this.complete = false; // finished run or full log: nothing more to add
+    this.firstStep = 0; // simulation step of frame 0
+
+    simulation.onStep(() => {
+      if (this.recording && !this.complete) this.capture();
+    });
+    simulation.onReset(() => {
+      if (this.recording) this.start();
+    });
+  }
+
+  /**
+   * Drops anything recorded so far and records from the current state.
+   */
+  start() {
+    this.frames = [];
+    this.stages = [];
+    this.events = [];
+    this.recording = true;
+    this.complete = false;
+    this.firstStep = this.simulation.loop.stepCount;
+    this.capture();
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  /**
+   * Stores the current state as the frame of the current step.
+   */
+  capture() {
+    const sim = this.simulation;
+    let frame = sim.loop.stepCount - this.firstStep;
+
+    // reset to before the start: record from here
+    if (frame < 0) {
+      this.firstStep = sim.loop.stepCount;
+      frame = 0;
+    }
+
+    // after a reset, forget the old future
+    if (frame < this.frames.length) {
+      this.frames.length = frame;
+      this.stages = this.stages.filter(([f]) => f < frame);
+      this.events = this.events.filter(([f]) => f < frame);
+    }
+    this.frames[frame] = captureState(sim.rgm, this.layout);
+
+    const stages = sim.controller.activeStages;
+    const last = this.stages[this.stages.length - 1];
+    if (!last || last[1].join() !== stages.join()) {
+      this.stages.push([frame, [...stages]]);
+    }
+
+    sim.collisionSystem.events.forEach((ev) => {
+      if (ev.type !== "CONTACT_STAY") this.events.push([frame, ev.type, ev.a, ev.b]);
+    });
+
+    this.complete = sim.controller.outcome !== null || this.frames.length >= this.maxFrames;
+  }
+
+  /**
+   * Seconds recorded so far.
+   */
+  get duration() {
+    return Math.max(this.frames.length - 1, 0) * this.simulation.loop.step;
+  }
+
+  /**
+   * Times at which the controller's current state (latest active stage)
+   * changed, for timelines.
+   * @returns {Array<[number, string|null]>} [seconds, state] pairs
+   */
+  stateChanges() {
+    const changes = [];
+    this.stages.forEach(([frame, stages]) => {
+      const state = stages.length > 0 ? stages[stages.length - 1] : null;
+      if (changes.length === 0 || changes[changes.length - 1][1] !== state) {
+        changes.push([frame * this.simulation.loop.step, state]);
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * The recording as a plain object (see the format at the top).
+   * @param {Object} [options]
+   * @param {number|null} [options.precision=5] - decimals kept for frame
+   *        values; null keeps them exact (for replaying in the same session)
+   * @returns {Object}
+   */
+  toLog({ precision = 5 } = {}) {
+    const scale = precision === null ? null : 10 ** precision;
+    const round = (x) => (scale === null ? x : Math.round(x * scale) / scale);
+
+    return {
+      format: FORMAT,
+      version: VERSION,
+      machine: this.simulation.machine.name,
+      rate: Math.round(1 / this.simulation.loop.step),
+      layout: this.layout,
+      frames: this.frames.map((frame) => Array.from(frame, round)),
+      stages: this.stages.map(([f, stages]) => [f, [...stages]]),
+      events: this.events.map((ev) => [...ev]),
+    };
+  }
+}
+
+/**
+ * Plays a recording back on a Simulation's parts and meshes. While a player
+ * is in use the simulation must not be stepped.
+ */
+export class ReplayPlayer {
+  /**
+   * @param {Simulation} simulation - built from the same machine description
+   * @param {Object} log - SimulationRecorder.toLog() or a parsed log file
+   */
+  constructor(simulation, log) {
+    if (log.format !== FORMAT || !(log.version >= 1 && log.version <= VERSION)) {
+      throw new Error(`[ReplayPlayer] Not a ${FORMAT} v1-v${VERSION} log`);
+    }
+    const layout = layoutOf(simulation.machine, simulation.rgm);
+    log = upgradeLog(log, layout);
+    if (JSON.stringify(log.layout) !== JSON.stringify(layout)) {
+      throw new Error(`[ReplayPlayer] Log of '${log.machine}' does not match this machine`);
+    }
+
+    this.simulation = simulation;
+    this.log = log;
+    this.frame = 0;
+    this.playing = false;
+    this._time = 0; // playback position in seconds, between frames
+  }
+
+  get frameCount() {
+    return this.log.frames.length;
+  }
+
+  get duration() {
+    return (this.frameCount - 1) / this.log.rate;
+  }
+
+  get time() {
+    return this.frame / this.log.rate;
+  }
+
+  play() {
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  /**
+   * Moves playback on by a frame's worth of wall-clock time (scaled by the
+   * simulation's time scale); stops at the end.
+   * @param {number} frameDt
+   */
+  advance(frameDt) {
+    if (!this.playing) return;
+
+    this._time += frameDt * this.simulation.timeScale;
+    if (this._time >= this.duration) this.playing = false;
+    this.seek(this._time);
+  }
+
+  /**
+   * Jumps to the frame closest to a time (clamped to the recording).
+   * @param {number} time - seconds from the start of the recording
+   */
+  seek(time) {
+    this.seekFrame(Math.round(time * this.log.rate));
+    this._time = Math.min(Math.max(time, 0), this.duration);
+  }
+
+  /**
+   * Applies one recorded frame: part state, controller stages, meshes.
+   * @param {number} frame
+   */
+  seekFrame(frame) {
+    const sim = this.simulation;
+    this.frame = Math.min(Math.max(frame, 0), this.frameCount - 1);
+    this._time = this.time;
+
+    applyState(sim.rgm, this.log.layout, this.log.frames[this.frame]);
+    sim.controller.activeStages = [...this.stagesAt(this.frame)];
+    sim.animationSystem.resetMeshes();
+  }
+
+  /**
+   * Active controller stages at a frame.
+   * @param {number} frame
+   * @returns {string[]}
+   */
+  stagesAt(frame) {
+    let stages = [];
+    for (const [f, s] of this.log.stages) {
+      if (f > frame) break;
+      stages = s;
+    }
+    return stages;
+  }
+
+  /**
+   * Events emitted during the step that led to a frame.
+   * @param {number} frame
+   * @returns {Array<[number, string, string, string]>}
+   */
+  eventsAt(frame) {
+    return this.log.events.filter(([f]) => f === frame);
+  }
+}
+
+/**
+ * First difference between two recordings of the same machine, for
+ * comparing runs across versions.
+ * @param {Object} a - log
+ * @param {Object} b - log
+ * @param {number} [tolerance=1e-4] - largest accepted difference of a value
+ * @returns {{ frame: number, time: number, reason: string } | null} null when
+ *          the runs match
+ */
+export function diffLogs(a, b, tolerance = 1e-4) {
+  [a, b] = [upgradeLog(a, b.layout), upgradeLog(b, a.layout)];
+  if (JSON.stringify(a.layout) !== JSON.stringify(b.layout) || a.rate !== b.rate) {
+    return { frame: 0, time: 0, reason: "different machines or step rates" };
+  }
+
+  const stageKey = (log, frame) => {
+    let key = "";
+    for (const [f, s] of log.stages) {
+      if (f > frame) break;
+      key = s.join();
+    }
+    return key;
+  };
+  const eventKey = (log, frame) =>
+    log.events.filter(([f]) => f === frame).map((ev) => ev.join()).sort().join(";");
+
+  const frames = Math.min(a.frames.length, b.frames.length);
+  for (let f = 0; f < frames; f++) {
+    const at = { frame: f, time: f / a.rate };
+
+    const i = a.frames[f].findIndex((x, k) => Math.abs(x - b.frames[f][k]) > tolerance);
+    if (i >= 0) return { ...at, reason: `value ${i} differs: ${a.frames[f][i]} vs ${b.frames[f][i]}` };
+
+    if (stageKey(a, f) !== stageKey(b, f)) {
+      return { ...at, reason: `stages differ: [${stageKey(a, f)}] vs [${stageKey(b, f)}]` };
+    }
+    if (eventKey(a, f) !== eventKey(b, f)) {
+      return { ...at, reason: `events differ: ${eventKey(a, f)} vs ${eventKey(b, f)}` };
+    }
+  }
+
+  if (a.frames.length !== b.frames.length) {
+    return { frame: frames, time: frames / a.rate, reason: "recordings have different lengths" };
+  }
+  return null;
+}
+
+// state a log may predate, at rest: unrotated balls that do not spin
+// (version 1) and belts that have not moved
+const REST = { spins: [0, 0, 0, 1, 0, 0, 0], belts: [0] };
+
+// the log with whatever `layout` has and it lacks appended to every frame,
+// at rest; these are always the last parts of a frame
+function upgradeLog(log, layout) {
+  const missing = Object.keys(REST).filter((key) => layout[key] && !log.layout[key]);
+  if (missing.length === 0) return log;
+  const rest = missing.flatMap((key) => layout[key].flatMap(() => REST[key]));
+  return {
+    ...log,
+    version: VERSION,
+    layout: { ...log.layout, ...Object.fromEntries(missing.map((key) => [key, layout[key]])) },
+    frames: log.frames.map((values) => values.concat(rest)),
+  };
+}
+
+// ids of the recorded parts by behaviour (see PartLibrary.js), the size
+// of each domino row and the conveyors, whose bodies keep a belt `travel`
+function layoutOf(machine, rgm) {
+  const idsOf = (behaviour) => machine.parts
+    .filter((p) => getPartType(p.type).behaviour === behaviour)
+    .map((p) => p.id);
+  const layout = {
+    balls: idsOf("ball"),
+    pendulums: idsOf("pendulum"),
+    dominoRows: Object.fromEntries(idsOf("dominoRow").map((id) => [id, rgm[id].length])),
+  };
+  const levers = idsOf("lever");
+  if (levers.length > 0) layout.levers = levers;
+  const springs = idsOf("spring");
+  if (springs.length > 0) layout.springs = springs;
+  const ropes = idsOf("rope");
+  if (ropes.length > 0) layout.ropes = ropes;
+  if (layout.balls.length > 0) layout.spins = layout.balls;
+  const belts = machine.parts.filter((p) => rgm[p.id].travel !== undefined).map((p) => p.id);
+  if (belts.length > 0) layout.belts = belts;
+  return layout;
+}
+
+function captureState(rgm, layout) {
+  const values = [];
+
+  layout.balls.forEach((id) => {
+    const b = rgm[id];
+    values.push(...b.position.toArray(), ...b.velocity.toArray(), b.active ? 1 : 0);
+  });
+  layout.pendulums.forEach((id) => {
+    const p = rgm[id];
+    values.push(p.angle, p.angularVelocity, p.active ? 1 : 0);
+  });
+  Object.keys(layout.dominoRows).forEach((id) => {
+    rgm[id].forEach((d) => values.push(d.angle, d.angularVelocity, d.fallen ? 1 : 0));
+  });
+  (layout.levers || []).forEach((id) => values.push(rgm[id].angle, rgm[id].angularVelocity));
+  (layout.springs || []).forEach((id) => {
+    const s = rgm[id];
+    values.push(s.length, s.speed, s.latched ? 1 : 0);
+  });
+  (layout.ropes || []).forEach((id) => {
+    rgm[id].forEach((end) => values.push(...end.position.toArray(), ...end.velocity.toArray()));
+  });
+  (layout.spins || []).forEach((id) => {
+    const b = rgm[id];
+    values.push(...b.quaternion.toArray(), ...b.angularVelocity.toArray());
+  });
+  (layout.belts || []).forEach((id) => values.push(rgm[id].travel));
+
+  return Float64Array.from(values);
+}
+
+function applyState(rgm, layout, values) {
+  let i = 0;
+
+  layout.balls.forEach((id) => {
+    const b = rgm[id];
+    b.position.fromArray(values, i);
+    b.velocity.fromArray(values, i + 3);
+    b.active = values[i + 6] === 1;
+    i += BALL_SIZE;
+  });
+  layout.pendulums.forEach((id) => {
+    const p = rgm[id];
+    [p.angle, p.angularVelocity] = [values[i], values[i + 1]];
+    p.active = values[i + 2] === 1;
+    i += PENDULUM_SIZE;
+  });
+  Object.keys(layout.dominoRows).forEach((id) => {
+    rgm[id].forEach((d) => {
+      [d.angle, d.angularVelocity] = [values[i], values[i + 1]];
+      d.fallen = values[i + 2] === 1;
+      i += DOMINO_SIZE;
+    });
+  });
+  (layout.levers || []).forEach((id) => {
+    [rgm[id].angle, rgm[id].angularVelocity] = [values[i], values[i + 1]];
+    i += LEVER_SIZE;
+  });
+  (layout.springs || []).forEach((id) => {
+    const s = rgm[id];
+    [s.length, s.speed] = [values[i], values[i + 1]];
+    s.latched = values[i + 2] === 1;
+    i += SPRING_SIZE;
+  });
+  (layout.ropes || []).forEach((id) => {
+    rgm[id].forEach((end) => {
+      end.position.fromArray(values, i);
+      end.velocity.fromArray(values, i + 3);
+      i += ROPE_END_SIZE;
+    });
+  });
+  (layout.spins || []).forEach((id) => {
+    const b = rgm[id];
+    b.quaternion.fromArray(values, i);
+    b.angularVelocity.fromArray(values, i + 4);
+    i += SPIN_SIZE;
+  });
+  (layout.belts || []).forEach((id) => {
+    rgm[id].travel = values[i];
+    i += BELT_SIZE;
+  });
+}
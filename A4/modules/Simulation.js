@@ -0,0 +1,130 @@
+// Simulation.js
+// Wires the controller, animation and collision systems to a fixed-step
+// loop. Has no rendering or DOM dependencies, so the same code runs in the
+// browser (MainApp.js) and in Node (headless.js).
+import AnimationSystem from "./AnimationSystem.js";
+import CollisionSystem from "./CollisionSystem.js";
+import RGMController from "./RGMController.js";
+import SimulationLoop from "./SimulationLoop.js";
+
+export default class Simulation {
+  /**
+   * @param {Object} rgmObjects - from buildRGMObjects
+   * @param {Object} machine - machine description
+   * @param {Object} [options]
+   * @param {number} [options.rate=240] - simulation steps per second
+   * @param {number} [options.maxSubsteps=16]
+   * @param {boolean} [options.debugBounds=false]
+   */
+  constructor(rgmObjects, machine, { rate = 240, maxSubsteps = 16, debugBounds = false } = {}) {
+    this.rgm = rgmObjects;
+    this.machine = machine;
+
+    this.controller      = new RGMController(rgmObjects, machine);
+    this.animationSystem = new AnimationSystem(rgmObjects);
+    this.collisionSystem = new CollisionSystem(rgmObjects, { debugBounds });
+
+    this.loop = new SimulationLoop((h) => this._step(h), { rate, maxSubsteps });
+
+    this.paused = false;
+    this.timeScale = 1;
+    this.alpha = 1; // interpolation factor the meshes were last placed at
+
+    // called with the simulation after every fixed step / after a reset
+    this.stepListeners = [];
+    this.resetListeners = [];
+  }
+
+  get time() {
+    return this.loop.time;
+  }
+
+  get state() {
+    return this.controller.state;
+  }
+
+  // "success" / "failure" once the machine has finished, else null
+  get outcome() {
+    return this.controller.outcome;
+  }
+
+  /**
+   * Advance by a frame's worth of wall-clock time (scaled by the time
+   * scale; nothing while paused) and place the meshes between the last two
+   * steps.
+   * @param {number} frameDt
+   */
+  advance(frameDt) {
+    if (this.paused) return this.alpha;
+
+    this.alpha = this.loop.advance(frameDt * this.timeScale);
+    this.animationSystem.render(this.alpha);
+    return this.alpha;
+  }
+
+  /**
+   * Run exactly n fixed steps, paused or not (meshes end on the exact
+   * state).
+   * @param {number} [n=1]
+   */
+  step(n = 1) {
+    for (let i = 0; i < n; i++) this.loop.tick();
+    this.alpha = 1;
+    this.animationSystem.render(1);
+  }
+
+  /**
+   * Back to the initial state of the machine description at time 0: parts,
+   * stages, contacts and meshes. Keeps the paused flag and time scale.
+   */
+  reset() {
+    this.controller.reset();
+    this.collisionSystem.reset();
+    this.loop.reset();
+    this.alpha = 1;
+    this.animationSystem.resetMeshes();
+    this.resetListeners.forEach((listener) => listener(this));
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * Slow motion (< 1) or fast forward (> 1). Only stretches how much
+   * wall-clock time each frame feeds the loop; the step size stays fixed,
+   * so results do not depend on the scale.
+   * @param {number} scale
+   */
+  setTimeScale(scale) {
+    if (!(scale > 0)) {
+      throw new Error(`[Simulation] Time scale must be positive, got ${scale}`);
+    }
+    this.timeScale = scale;
+  }
+
+  /**
+   * @param {(simulation: Simulation) => void} listener - run after every step
+   */
+  onStep(listener) {
+    this.stepListeners.push(listener);
+  }
+
+  /**
+   * @param {(simulation: Simulation) => void} listener - run after every reset
+   */
+  onReset(listener) {
+    this.resetListeners.push(listener);
+  }
+
+  _step(h) {
+    this.animationSystem.update(h);
+    this.collisionSystem.update(h);
+    this.controller.update(h, this.collisionSystem.events);
+    this.stepListeners.forEach((listener) => listener(this));
+  }
+}
@@ -0,0 +1,70 @@
+// SimulationLoop.js
+// Fixed-timestep driver for the simulation. Frame time is banked in an
+// accumulator and spent in constant steps, so the state history only depends
+// on the number of steps taken, never on the frame rate. The leftover
+// fraction of a step is returned for render-time interpolation.
+export default class SimulationLoop {
+  /**
+   * @param {(h: number) => void} stepFn - advances the simulation by h seconds
+   * @param {Object} [options]
+   * @param {number} [options.rate=240] - steps per simulated second
+   * @param {number} [options.maxSubsteps=16] - cap on steps per frame
+   */
+  constructor(stepFn, { rate = 240, maxSubsteps = 16 } = {}) {
+    this.stepFn = stepFn;
+    this.step = 1 / rate;
+    this.maxSubsteps = maxSubsteps;
+
+    this.accumulator = 0;
+    this.stepCount = 0;
+  }
+
+  /**
+   * Simulated time in seconds (exact multiple of the step).
+   */
+  get time() {
+    return this.stepCount * this.step;
+  }
+
+  /**
+   * Runs as many whole steps as the frame time allows.
+   * @param {number} frameDt - wall-clock seconds since the last frame
+   * @returns {number} interpolation factor in [0, 1) between the previous
+   *                   and the current step
+   */
+  advance(frameDt) {
+    this.accumulator += frameDt;
+
+    let substeps = 0;
+    while (this.accumulator >= this.step && substeps < this.maxSubsteps) {
+      this.tick();
+      this.accumulator -= this.step;
+      substeps++;
+    }
+
+    // Too far behind (tab switch, breakpoint): drop the backlog rather than
+    // spiralling, the simulation just runs slower than real time for a frame.
+    if (this.accumulator >= this.step) {
+      this.accumulator = 0;
+    }
+
+    return this.accumulator / this.step;
+  }
+
+  /**
+   * Back to time 0 with nothing banked.
+   */
+  reset() {
+    this.accumulator = 0;
+    this.stepCount = 0;
+  }
+
+  /**
+   * Runs exactly one step, ignoring the accumulator. `time` already reads
+   * the end of the step while it runs.
+   */
+  tick() {
+    this.stepCount++;
+    this.stepFn(this.step);
+  }
+}
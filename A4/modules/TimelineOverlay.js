@@ -0,0 +1,119 @@
+// TimelineOverlay.js
+// HTML bar over the bottom of the canvas: one coloured segment per stage of
+// the recorded run (pendulum, ball rolling, ramp, dominos, ball 2, hoop),
+// a scrubber for seeking, and a readout of the current state and time.
+// Purely a view: MainApp feeds it every frame and handles the seeks.
+
+const BAR_STYLE = `
+  position: fixed; left: 16px; right: 16px; bottom: 16px;
+  padding: 8px 12px; border-radius: 6px;
+  background: rgba(20, 20, 25, 0.8); color: #ddd;
+  font: 12px/1.4 monospace; user-select: none;
+`;
+const TRACK_STYLE = "position: relative; height: 18px; margin-top: 6px;";
+const SEGMENT_STYLE = `
+  position: absolute; top: 0; bottom: 0; overflow: hidden;
+  padding-left: 4px; border-left: 1px solid #000;
+  color: #111; font-size: 10px; line-height: 18px; white-space: nowrap;
+`;
+const SCRUBBER_STYLE = `
+  position: absolute; left: 0; top: 0; width: 100%; height: 100%;
+  margin: 0; opacity: 0.6; cursor: pointer;
+`;
+
+export default class TimelineOverlay {
+  /**
+   * @param {Object} [options]
+   * @param {HTMLElement} [options.container=document.body]
+   * @param {(time: number) => void} [options.onSeek] - called while the
+   *        scrubber is dragged, with seconds from the start of the run
+   */
+  constructor({ container = document.body, onSeek = () => {} } = {}) {
+    this.onSeek = onSeek;
+    this.dragging = false;
+    this._segmentsKey = "";
+
+    this.bar = document.createElement("div");
+    this.bar.style.cssText = BAR_STYLE;
+
+    this.readout = document.createElement("div");
+    this.bar.appendChild(this.readout);
+
+    this.track = document.createElement("div");
+    this.track.style.cssText = TRACK_STYLE;
+    this.bar.appendChild(this.track);
+
+    this.segments = document.createElement("div");
+    this.track.appendChild(this.segments);
+
+    this.scrubber = document.createElement("input");
+    this.scrubber.type = "range";
+    this.scrubber.min = 0;
+    this.scrubber.step = "any";
+    this.scrubber.style.cssText = SCRUBBER_STYLE;
+    this.track.appendChild(this.scrubber);
+
+    this.scrubber.addEventListener("pointerdown", () => { this.dragging = true; });
+    window.addEventListener("pointerup", () => { this.dragging = false; });
+    this.scrubber.addEventListener("input", () => this.onSeek(Number(this.scrubber.value)));
+
+    // keyboard shortcuts stay with the simulation, not the slider
+    this.scrubber.addEventListener("keydown", (e) => e.preventDefault());
+
+    container.appendChild(this.bar);
+  }
+
+  /**
+   * Redraws the bar for the current frame.
+   * @param {Object} view
+   * @param {number} view.time - shown moment, seconds from the start
+   * @param {number} view.duration - length of the recorded run
+   * @param {string|null} view.state - controller state at `time`
+   * @param {Array<[number, string|null]>} view.stages - [start time, state]
+   * @param {string} view.mode - e.g. "LIVE", "PAUSED", "REPLAY"
+   * @param {string|null} [view.outcome]
+   */
+  update({ time, duration, state, stages, mode, outcome = null }) {
+    const result = outcome ? `  ${outcome.toUpperCase()}` : "";
+    this.readout.textContent =
+      `${mode}  ${state || "-"}  ${time.toFixed(2)}s / ${duration.toFixed(2)}s${result}`;
+
+    this._drawSegments(stages, duration);
+
+    this.scrubber.max = Math.max(duration, 1e-3);
+    if (!this.dragging) this.scrubber.value = time;
+  }
+
+  dispose() {
+    this.bar.remove();
+  }
+
+  // one block per stage, rebuilt only when the stages or length change
+  _drawSegments(stages, duration) {
+    const key = `${duration.toFixed(1)}|${stages.map(([t, s]) => `${t}:${s}`).join()}`;
+    if (key === this._segmentsKey) return;
+    this._segmentsKey = key;
+
+    this.segments.replaceChildren();
+    if (duration <= 0) return;
+
+    stages.forEach(([start, state], i) => {
+      const end = i + 1 < stages.length ? stages[i + 1][0] : duration;
+      const segment = document.createElement("div");
+      segment.style.cssText = SEGMENT_STYLE;
+      segment.style.left = `${(start / duration) * 100}%`;
+      segment.style.width = `${((end - start) / duration) * 100}%`;
+      segment.style.background = stageColor(state);
+      segment.textContent = state || "";
+      segment.title = `${state || "-"} from ${start.toFixed(2)}s`;
+      this.segments.appendChild(segment);
+    });
+  }
+}
+
+// stable colour per stage name
+function stageColor(state) {
+  let hash = 0;
+  for (const c of state || "") hash = (hash * 31 + c.charCodeAt(0)) % 360;
+  return `hsl(${hash}, 55%, 60%)`;
+}
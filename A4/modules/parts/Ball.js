@@ -0,0 +1,71 @@
+// Ball.js
+// Simulated sphere: falls, rolls and bounces off every static part (see
+// AnimationSystem._updateBall), and trades momentum with the other balls
+// and the dominos it meets. Starts at rest, moving only once "active"
+// (from the description, or a trigger).
+//
+// A ball spins as a solid sphere: "friction" (sliding) acts on the slip
+// of its contact point, so a ball thrown onto a surface skids until its
+// spin has caught up and then rolls without slipping; "rollingFriction"
+// slows the rolling down.
+import * as THREE from "three";
+import { applyTransform, surfaceOf, toVector3 } from "../MachineDescription.js";
+import { SphereShape } from "../CollisionShapes.js";
+import Body from "../Body.js";
+
+// rolling resistance: velocity lost while rolling, per unit of normal impulse
+const DEFAULT_ROLLING_FRICTION = 0.01;
+
+export default {
+  type: "ball",
+  behaviour: "ball",
+  layer: "ball",
+  materials: { material: "metalBall" },
+  fields: { radius: 1, mass: 1, friction: 1, rollingFriction: 1 },
+  fixedRotation: true,
+
+  build(parent, part, material) {
+    const geo = new THREE.SphereGeometry(part.radius, 32, 32);
+    const ball = new THREE.Mesh(geo, material("material"));
+    applyTransform(ball, part);
+    ball.castShadow = true;
+    ball.name = part.id;
+    parent.add(ball);
+
+    return ball;
+  },
+
+  createBodies(part, pose) {
+    return Object.assign(
+      new Body({ id: part.id, type: part.type, mass: part.mass ?? 1, ...pose }),
+      {
+        radius: part.radius,
+        active: false,
+        angularVelocity: new THREE.Vector3(), // rad/s, world axes
+        inertia: 0.4 * (part.mass ?? 1) * part.radius ** 2, // solid sphere
+        rollingFriction: part.rollingFriction ?? DEFAULT_ROLLING_FRICTION,
+        ...surfaceOf(part),
+      }
+    ).addShape(new SphereShape(part.radius));
+  },
+
+  reset(ball, part) {
+    ball.position.copy(toVector3(part.position));
+    ball.quaternion.setFromEuler(new THREE.Euler().fromArray(part.rotation || [0, 0, 0]));
+    ball.velocity.set(0, 0, 0);
+    ball.angularVelocity.set(0, 0, 0);
+    ball.active = !!part.active;
+  },
+
+  // previous -> current position
+  sweep(ball, out) {
+    out.start.copy(ball.previousPosition);
+    out.end.copy(ball.position);
+    out.radius = ball.radius;
+    return out;
+  },
+
+  resize(part, scale, uniform) {
+    part.radius *= uniform;
+  },
+};
@@ -0,0 +1,36 @@
+// Box.js
+// Static box: planks, ramps, walls. Collides as an oriented box of the
+// same size as its mesh.
+import * as THREE from "three";
+import { applyTransform, surfaceOf } from "../MachineDescription.js";
+import { BoxShape } from "../CollisionShapes.js";
+import Body from "../Body.js";
+
+export default {
+  type: "box",
+  behaviour: "static",
+  layer: "static",
+  materials: { material: "woodTrack" },
+  fields: { size: 3 },
+
+  build(parent, part, material) {
+    const [w, h, d] = part.size;
+    const box = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), material("material"));
+    applyTransform(box, part);
+    box.castShadow = true;
+    box.receiveShadow = true;
+    box.name = part.id;
+    parent.add(box);
+
+    return box;
+  },
+
+  createBodies(part, pose) {
+    return Object.assign(new Body({ id: part.id, type: part.type, ...pose }), surfaceOf(part))
+      .addShape(BoxShape.fromSize(part.size));
+  },
+
+  resize(part, scale) {
+    part.size = part.size.map((v, i) => v * scale[i]);
+  },
+};
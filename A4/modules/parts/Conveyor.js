@@ -0,0 +1,58 @@
+// Conveyor.js
+// Static belt that carries whatever rests on it: a box whose top surface
+// moves at `speed` along the part's local X (negative runs backwards), so
+// friction drags balls along. The belt's wood texture scrolls with it.
+import * as THREE from "three";
+import { applyTransform, surfaceOf } from "../MachineDescription.js";
+import { BoxShape } from "../CollisionShapes.js";
+import Body from "../Body.js";
+
+const DEFAULT_SPEED = 1;
+
+export default {
+  type: "conveyor",
+  behaviour: "static",
+  layer: "static",
+  materials: { material: "woodTrack", rollerMaterial: "pendulumRod" },
+  fields: { size: 3, speed: 1 },
+
+  build(parent, part, material) {
+    const [w, h, d] = part.size;
+    const belt = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), material("material"));
+    applyTransform(belt, part);
+    belt.castShadow = true;
+    belt.receiveShadow = true;
+    belt.name = part.id;
+    // the UVs as built, which the scrolling offsets (see AnimationSystem)
+    belt.userData.restUv = Float32Array.from(belt.geometry.attributes.uv.array);
+    parent.add(belt);
+
+    // a roller under each end, poking out at the sides
+    const rollerGeo = new THREE.CylinderGeometry(h / 2, h / 2, d * 1.1, 16);
+    rollerGeo.rotateX(Math.PI / 2);
+    [-w / 2, w / 2].forEach((x) => {
+      const roller = new THREE.Mesh(rollerGeo, material("rollerMaterial"));
+      roller.position.x = x;
+      roller.castShadow = true;
+      belt.add(roller);
+    });
+
+    return { root: belt, pivot: belt, belt };
+  },
+
+  createBodies(part, pose) {
+    return Object.assign(new Body({ id: part.id, type: part.type, ...pose }), surfaceOf(part), {
+      surfaceVelocity: new THREE.Vector3(part.speed ?? DEFAULT_SPEED, 0, 0),
+      beltLength: part.size[0],
+      travel: 0, // how far the belt has moved, modulo its length
+    }).addShape(BoxShape.fromSize(part.size));
+  },
+
+  reset(body) {
+    body.travel = 0;
+  },
+
+  resize(part, scale) {
+    part.size = part.size.map((v, i) => v * scale[i]);
+  },
+};
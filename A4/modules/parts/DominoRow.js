@@ -0,0 +1,113 @@
+// DominoRow.js
+// Row of dominos laid out along a straight line or a path with splits (see
+// DominoPath.js). Each domino is its own body, "<row>.<index>", hinged on
+// its leading bottom edge (see AnimationSystem._updateDominos).
+import * as THREE from "three";
+import { applyTransform, surfaceOf } from "../MachineDescription.js";
+import { layoutDominoPath } from "../DominoPath.js";
+import { BoxShape } from "../CollisionShapes.js";
+import Body from "../Body.js";
+
+export default {
+  type: "dominoRow",
+  behaviour: "dominoRow",
+  layer: "domino",
+  materials: { material: "domino" },
+  fields: { count: 1, spacing: 1, size: 3 },
+
+  build(parent, part, material) {
+    const dominoRoot = new THREE.Object3D();
+    dominoRoot.name = `${part.id}Root`;
+    applyTransform(dominoRoot, part);
+    parent.add(dominoRoot);
+
+    // pivot on the leading bottom edge so rotation.z tips the domino over
+    const [w, h, d] = part.size;
+    const dominoGeo = new THREE.BoxGeometry(w, h, d);
+    dominoGeo.translate(-w / 2, h / 2, 0);
+
+    // straight line or path with splits, in generation order; one material
+    // per domino, since the model matrix is a material uniform
+    return layoutDominoPath(part).map(({ position, yaw }) => {
+      const domino = new THREE.Mesh(dominoGeo, material("material"));
+      domino.position.copy(position);
+      domino.rotation.y = yaw;
+      domino.castShadow = true;
+      dominoRoot.add(domino);
+      return domino;
+    });
+  },
+
+  createBodies(part, pose) {
+    const placements = layoutDominoPath(part);
+    const dominos = placements.map((placement, i) => createDomino(part, i, placement, pose));
+    // dominos each one falls onto (two of them at a split)
+    placements.forEach(({ next }, i) => {
+      dominos[i].next = next.map((j) => dominos[j]);
+    });
+    return dominos;
+  },
+
+  placeBodies(dominos, part, pose) {
+    layoutDominoPath(part).forEach((placement, i) => {
+      const { position, quaternion } = dominoPose(placement, pose);
+      dominos[i].position.copy(position);
+      dominos[i].baseQuaternion.copy(quaternion);
+    });
+  },
+
+  reset(dominos) {
+    dominos.forEach((d) => {
+      d.angle = 0;
+      d.angularVelocity = 0;
+      d.fallen = false;
+    });
+  },
+
+  count(part) {
+    return layoutDominoPath(part).length;
+  },
+
+  resize(part, scale) {
+    part.size = part.size.map((v, i) => v * scale[i]);
+    part.spacing *= scale[0];
+  },
+};
+
+/**
+ * A domino is a rigid box hinged on its leading bottom edge, which is the
+ * body origin (and the mesh origin, see build); `angle` is its rotation
+ * about the body's local Z axis, negative when tipping forward.
+ */
+function createDomino(part, index, placement, rowPose) {
+  const mass = part.mass ?? 1;
+  const [w, h, d] = part.size;
+  const localBox = new THREE.Box3(
+    new THREE.Vector3(-w, 0, -d / 2),
+    new THREE.Vector3(0, h, d / 2)
+  );
+  const size = localBox.getSize(new THREE.Vector3());
+  const center = localBox.getCenter(new THREE.Vector3());
+  const pose = dominoPose(placement, rowPose);
+
+  return Object.assign(new Body({ id: `${part.id}.${index}`, type: part.type, mass, ...pose }), {
+    baseQuaternion: pose.quaternion.clone(),
+    angle: 0,
+    angularVelocity: 0,
+    fallen: false,
+    next: [],
+    // box about its own centre, moved to the hinge (parallel axis theorem)
+    inertia: mass * ((size.x ** 2 + size.y ** 2) / 12 + center.x ** 2 + center.y ** 2),
+    localBox,
+    ...surfaceOf(part),
+  }).addShape(new BoxShape(localBox));
+}
+
+// upright world pose of a domino; it turns about the Z axis of this frame
+function dominoPose({ position, yaw }, rowPose) {
+  const yawed = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw);
+  return {
+    position: position.clone().applyQuaternion(rowPose.quaternion).add(rowPose.position),
+    quaternion: rowPose.quaternion.clone().multiply(yawed),
+  };
+}
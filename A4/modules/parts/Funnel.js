@@ -0,0 +1,67 @@
+// Funnel.js
+// Static open cone that gathers falling balls and drops them out of its
+// narrow end: radiusTop at +height/2, radiusBottom at -height/2 along the
+// part's local Y. Collides as a ring of slanted slats (thin boxes) lining
+// the wall, so a ball can fall through the opening.
+import * as THREE from "three";
+import { applyTransform, surfaceOf } from "../MachineDescription.js";
+import { BoxShape } from "../CollisionShapes.js";
+import Body from "../Body.js";
+
+const DEFAULT_WALL = 0.05;
+const DEFAULT_SLATS = 12;
+
+const _yAxis = new THREE.Vector3(0, 1, 0);
+const _zAxis = new THREE.Vector3(0, 0, 1);
+
+export default {
+  type: "funnel",
+  behaviour: "static",
+  layer: "static",
+  materials: { material: "funnel" },
+  fields: { radiusTop: 1, radiusBottom: 1, height: 1 },
+
+  build(parent, part, material) {
+    const geo = new THREE.CylinderGeometry(part.radiusTop, part.radiusBottom, part.height, 32, 1, true);
+    const funnel = new THREE.Mesh(geo, material("material"));
+    applyTransform(funnel, part);
+    funnel.castShadow = true;
+    funnel.receiveShadow = true;
+    funnel.name = part.id;
+    parent.add(funnel);
+
+    return funnel;
+  },
+
+  createBodies(part, pose) {
+    const { radiusTop, radiusBottom, height } = part;
+    const wall = part.wall ?? DEFAULT_WALL;
+    const slats = part.slats ?? DEFAULT_SLATS;
+
+    // slat in the XY plane: its Y axis runs up the wall, X points outwards
+    const tilt = Math.atan2(radiusTop - radiusBottom, height);
+    const length = Math.hypot(radiusTop - radiusBottom, height);
+    const width = 2 * radiusTop * Math.tan(Math.PI / slats); // closes the gaps at the rim
+    const center = new THREE.Vector3((radiusTop + radiusBottom) / 2, 0, 0)
+      .add(new THREE.Vector3(Math.cos(tilt), -Math.sin(tilt), 0).multiplyScalar(wall / 2));
+    const tilted = new THREE.Quaternion().setFromAxisAngle(_zAxis, -tilt);
+
+    const body = Object.assign(new Body({ id: part.id, type: part.type, ...pose }), surfaceOf(part));
+    for (let i = 0; i < slats; i++) {
+      const around = new THREE.Quaternion().setFromAxisAngle(_yAxis, (2 * Math.PI * i) / slats);
+      const offset = new THREE.Matrix4().compose(
+        center.clone().applyQuaternion(around),
+        around.multiply(tilted),
+        new THREE.Vector3(1, 1, 1)
+      );
+      body.addShape(BoxShape.fromSize([wall, length, width], offset));
+    }
+    return body;
+  },
+
+  resize(part, scale) {
+    part.radiusTop *= scale[0];
+    part.radiusBottom *= scale[0];
+    part.height *= scale[1];
+  },
+};
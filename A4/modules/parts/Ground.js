@@ -0,0 +1,39 @@
+// Ground.js
+// Static floor: a horizontal plane of size [width, depth], facing +Y.
+import * as THREE from "three";
+import { applyTransform, surfaceOf } from "../MachineDescription.js";
+import { BoxShape } from "../CollisionShapes.js";
+import Body from "../Body.js";
+
+export default {
+  type: "ground",
+  behaviour: "static",
+  layer: "static",
+  materials: { material: "ground" },
+  fields: { size: 2 },
+
+  build(parent, part, material) {
+    const [width, depth] = part.size;
+    const geo = new THREE.PlaneGeometry(width, depth);
+    geo.rotateX(-Math.PI / 2); // lie flat in XZ
+
+    const ground = new THREE.Mesh(geo, material("material"));
+    applyTransform(ground, part);
+    ground.receiveShadow = true;
+    ground.name = part.id;
+
+    parent.add(ground);
+    return ground;
+  },
+
+  // a box with zero thickness
+  createBodies(part, pose) {
+    const [width, depth] = part.size;
+    return Object.assign(new Body({ id: part.id, type: part.type, ...pose }), surfaceOf(part))
+      .addShape(BoxShape.fromSize([width, 0, depth]));
+  },
+
+  resize(part, scale) {
+    part.size = [part.size[0] * scale[0], part.size[1] * scale[2]];
+  },
+};
@@ -0,0 +1,35 @@
+// Hoop.js
+// Static ring the ball can pass through ("hoop" links classify the pass).
+// The torus lies in the part's local XY plane.
+import * as THREE from "three";
+import { applyTransform, surfaceOf } from "../MachineDescription.js";
+import { TorusShape } from "../CollisionShapes.js";
+import Body from "../Body.js";
+
+export default {
+  type: "hoop",
+  behaviour: "static",
+  layer: "static",
+  materials: { material: "ringHoop" },
+  fields: { radius: 1, tube: 1 },
+
+  build(parent, part, material) {
+    const geo = new THREE.TorusGeometry(part.radius, part.tube, 16, 64);
+    const hoop = new THREE.Mesh(geo, material("material"));
+    applyTransform(hoop, part);
+    hoop.name = part.id;
+    parent.add(hoop);
+
+    return hoop;
+  },
+
+  createBodies(part, pose) {
+    return Object.assign(new Body({ id: part.id, type: part.type, ...pose }), surfaceOf(part))
+      .addShape(new TorusShape(part.radius, part.tube));
+  },
+
+  resize(part, scale, uniform) {
+    part.radius *= uniform;
+    part.tube *= uniform;
+  },
+};
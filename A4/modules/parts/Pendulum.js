@@ -0,0 +1,96 @@
+// Pendulum.js
+// Rod with a bob, swinging in the XY plane about a pivot at the top of the
+// rod (see AnimationSystem._updatePendulum). The body frame is the pivot,
+// turned by `angle`.
+import * as THREE from "three";
+import { applyTransform, surfaceOf } from "../MachineDescription.js";
+import { SphereShape, CapsuleShape } from "../CollisionShapes.js";
+import Body from "../Body.js";
+
+export default {
+  type: "pendulum",
+  behaviour: "pendulum",
+  layer: "pendulum",
+  materials: { material: "metalBall", rodMaterial: "pendulumRod" },
+  fields: { length: 1, bobRadius: 1, bobMass: 1, releaseAngle: 1, damping: 1 },
+  fixedRotation: true,
+
+  build(parent, part, material) {
+    const pendulumRoot = new THREE.Object3D();
+    pendulumRoot.name = `${part.id}Root`;
+    parent.add(pendulumRoot);
+
+    const pivot = new THREE.Object3D();
+    applyTransform(pivot, part); // pivot sits at the top of the rod
+    pivot.name = `${part.id}Pivot`;
+    pendulumRoot.add(pivot);
+
+    const rodLength = part.length;
+    const rodGeo = new THREE.BoxGeometry(part.rodWidth, rodLength, part.rodWidth);
+    const rod = new THREE.Mesh(rodGeo, material("rodMaterial"));
+    rod.position.set(0, -rodLength / 2, 0);
+    rod.castShadow = true;
+    pivot.add(rod);
+
+    const bobGeo = new THREE.SphereGeometry(part.bobRadius, 32, 32);
+    const bob = new THREE.Mesh(bobGeo, material("material"));
+    bob.position.set(0, -rodLength, 0);
+    bob.castShadow = true;
+    pivot.add(bob);
+
+    return { root: pendulumRoot, pivot, rod, bob };
+  },
+
+  createBodies(part, pose) {
+    const rodRadius = part.rodWidth / 2;
+    return Object.assign(
+      new Body({ id: part.id, type: part.type, mass: part.bobMass ?? 1, ...pose }),
+      {
+        baseQuaternion: pose.quaternion,
+        length: part.length,
+        bobRadius: part.bobRadius,
+        bobMass: part.bobMass ?? 1,
+        damping: part.damping ?? 0, // 1/s
+        releaseAngle: part.releaseAngle ?? 0, // hanging straight down
+        angle: 0,
+        angularVelocity: 0,
+        active: false,
+        ...surfaceOf(part),
+      }
+    )
+      // bob sphere + rod capsule
+      .addShape(new SphereShape(part.bobRadius, new THREE.Vector3(0, -part.length, 0)))
+      .addShape(new CapsuleShape(
+        new THREE.Vector3(0, -part.length + rodRadius, 0),
+        new THREE.Vector3(0, -rodRadius, 0),
+        rodRadius
+      ));
+  },
+
+  placeBodies(p, part, pose) {
+    p.position.copy(pose.position);
+    p.baseQuaternion.copy(pose.quaternion);
+  },
+
+  reset(p, part) {
+    p.angle = p.releaseAngle;
+    p.angularVelocity = 0;
+    p.active = !!part.active;
+  },
+
+  // bob centre at the previous -> current angle
+  sweep(p, out) {
+    const bobAt = (angle, target) => target.set(Math.sin(angle), -Math.cos(angle), 0)
+      .multiplyScalar(p.length)
+      .applyQuaternion(p.baseQuaternion)
+      .add(p.position);
+    bobAt(p.previousAngle, out.start);
+    bobAt(p.angle, out.end);
+    out.radius = p.bobRadius;
+    return out;
+  },
+
+  resize(part, scale) {
+    part.length *= scale[1];
+  },
+};
@@ -0,0 +1,119 @@
+// Plunger.js
+// Spring launcher: a plunger head on a coil spring along the part's local
+// +X axis, starting at the part's position (the spring's fixed end). The
+// head obeys Hooke's law, F = -stiffness * (length - restLength), and is
+// held compressed (length = restLength - compression) by a latch until a
+// "release" trigger action lets it go; the ball in front of the head then
+// rides it out and leaves with the stored energy (see
+// AnimationSystem._updateSprings). The body is the head, its front face on
+// the body origin; `length` is the current distance from the fixed end.
+import * as THREE from "three";
+import { applyTransform, surfaceOf } from "../MachineDescription.js";
+import { BoxShape } from "../CollisionShapes.js";
+import Body from "../Body.js";
+
+const DEFAULT_HEAD = [0.1, 0.5, 0.5];
+const DEFAULT_STIFFNESS = 100; // N/m
+const COIL_RADIUS = 0.15;
+const COIL_WIRE = 0.02;
+const COIL_TURNS = 8;
+
+// helix along +X from 0 to `length`
+class HelixCurve extends THREE.Curve {
+  constructor(length, radius, turns) {
+    super();
+    this.length = length;
+    this.radius = radius;
+    this.turns = turns;
+  }
+
+  getPoint(t, target = new THREE.Vector3()) {
+    const a = 2 * Math.PI * this.turns * t;
+    return target.set(t * this.length, this.radius * Math.cos(a), this.radius * Math.sin(a));
+  }
+}
+
+export default {
+  type: "plunger",
+  behaviour: "spring",
+  layer: "spring",
+  materials: { material: "woodTrack", coilMaterial: "pendulumRod" },
+  fields: { restLength: 1, compression: 1, stiffness: 1, mass: 1 },
+
+  // the coil sits on the fixed end (base) and is stretched to the head
+  // (pivot), which moves with the body
+  build(parent, part, material) {
+    const [t, h, d] = part.headSize || DEFAULT_HEAD;
+
+    const root = new THREE.Object3D();
+    root.name = `${part.id}Root`;
+    parent.add(root);
+
+    const base = new THREE.Object3D();
+    applyTransform(base, part);
+    base.name = `${part.id}Base`;
+    root.add(base);
+
+    const coilGeo = new THREE.TubeGeometry(
+      new HelixCurve(part.restLength, COIL_RADIUS, COIL_TURNS), COIL_TURNS * 16, COIL_WIRE, 6
+    );
+    const coil = new THREE.Mesh(coilGeo, material("coilMaterial"));
+    coil.castShadow = true;
+    base.add(coil);
+
+    const pivot = new THREE.Object3D();
+    pivot.name = `${part.id}Head`;
+    root.add(pivot);
+
+    const headGeo = new THREE.BoxGeometry(t, h, d);
+    headGeo.translate(-t / 2, 0, 0); // front face on the origin
+    const head = new THREE.Mesh(headGeo, material("material"));
+    head.castShadow = true;
+    pivot.add(head);
+
+    return { root, base, pivot, head, stretch: coil };
+  },
+
+  createBodies(part, pose) {
+    const [t, h, d] = part.headSize || DEFAULT_HEAD;
+    const localBox = new THREE.Box3(
+      new THREE.Vector3(-t, -h / 2, -d / 2),
+      new THREE.Vector3(0, h / 2, d / 2)
+    );
+
+    return Object.assign(
+      new Body({ id: part.id, type: part.type, mass: part.mass ?? 0.2, ...pose }),
+      {
+        basePosition: pose.position.clone(),
+        baseQuaternion: pose.quaternion.clone(),
+        restLength: part.restLength,
+        compression: part.compression ?? 0,
+        stiffness: part.stiffness ?? DEFAULT_STIFFNESS,
+        damping: part.damping ?? 0, // 1/s
+        length: part.restLength,
+        speed: 0, // d(length)/dt
+        latched: true,
+        touching: [], // { ball, normal } against the head after the last step
+        ...surfaceOf(part),
+      }
+    ).addShape(new BoxShape(localBox));
+  },
+
+  placeBodies(spring, part, pose) {
+    spring.basePosition.copy(pose.position);
+    spring.baseQuaternion.copy(pose.quaternion);
+  },
+
+  // compressed and latched, unless the description starts it released
+  reset(spring, part) {
+    spring.length = spring.restLength - spring.compression;
+    spring.speed = 0;
+    spring.latched = !part.released;
+    spring.touching = [];
+  },
+
+  resize(part, scale) {
+    part.restLength *= scale[0];
+    if (part.compression !== undefined) part.compression *= scale[0];
+  },
+};
@@ -0,0 +1,178 @@
+// Pulley.js
+// Rope over a fixed pulley wheel (centred on the part's position, turning
+// about its local Z axis) with a bucket hanging from the -X side and a
+// counterweight from the +X side. The two ends are free point masses,
+// "<id>.0" (bucket) and "<id>.1" (counterweight), held by an inextensible
+// rope of `length`: the two hanging sides together never get longer than
+// that, but either may go slack, and neither gets shorter than
+// `minLength` (the end meets the wheel). Balls land in the bucket and the
+// ends trade their weight through the rope (see AnimationSystem._updateRopes).
+// Each end's origin is where the rope is tied on, at the top of the end.
+import * as THREE from "three";
+import { applyTransform, surfaceOf } from "../MachineDescription.js";
+import { BoxShape } from "../CollisionShapes.js";
+import Body from "../Body.js";
+
+const DEFAULT_RADIUS = 0.5;
+const DEFAULT_MIN_LENGTH = 0.5;
+const DEFAULT_BUCKET = [0.8, 0.5, 0.8];
+const DEFAULT_WEIGHT = [0.4, 0.6, 0.4];
+const BUCKET_WALL = 0.04;
+const ROPE_RADIUS = 0.015;
+
+const _down = new THREE.Vector3(0, -1, 0);
+
+// floor and four walls of an open bucket hanging below its origin
+function bucketBoxes([w, h, d]) {
+  const t = BUCKET_WALL;
+  return [
+    { size: [w, t, d], center: [0, t / 2 - h, 0] },
+    { size: [t, h, d], center: [(t - w) / 2, -h / 2, 0] },
+    { size: [t, h, d], center: [(w - t) / 2, -h / 2, 0] },
+    { size: [w, h, t], center: [0, -h / 2, (t - d) / 2] },
+    { size: [w, h, t], center: [0, -h / 2, (d - t) / 2] },
+  ];
+}
+
+// where the two sides leave the wheel, in world space
+function anchorsOf(part, pose) {
+  const radius = part.radius ?? DEFAULT_RADIUS;
+  return [-radius, radius].map((x) =>
+    new THREE.Vector3(x, 0, 0).applyQuaternion(pose.quaternion).add(pose.position)
+  );
+}
+
+// initial rope length on each side
+function sideLengths(part) {
+  const minLength = part.minLength ?? DEFAULT_MIN_LENGTH;
+  const bucketSide = part.bucketDrop ?? part.length / 2;
+  return [bucketSide, part.length - bucketSide].map((l) => Math.max(l, minLength));
+}
+
+// both ends hanging still, straight below the wheel
+function hang(ends, part) {
+  const lengths = sideLengths(part);
+  ends.forEach((end, i) => {
+    end.position.copy(end.anchor).addScaledVector(_down, lengths[i]);
+    end.velocity.set(0, 0, 0);
+    end.updateMatrix();
+  });
+  ends[0].rope.taut = lengths[0] + lengths[1] >= part.length;
+}
+
+export default {
+  type: "pulley",
+  behaviour: "rope",
+  layer: "rope",
+  materials: { material: "woodTrack", weightMaterial: "pendulumRod", ropeMaterial: "pendulumRod" },
+  fields: { radius: 1, length: 1, bucketDrop: 1, bucketMass: 1, weightMass: 1 },
+
+  // the wheel stays on the part's pose; each end and its side of the rope
+  // follow that end's body
+  build(parent, part, material) {
+    const radius = part.radius ?? DEFAULT_RADIUS;
+    const [bw, bh, bd] = part.bucketSize || DEFAULT_BUCKET;
+    const [ww, wh, wd] = part.weightSize || DEFAULT_WEIGHT;
+
+    const root = new THREE.Object3D();
+    root.name = `${part.id}Root`;
+    parent.add(root);
+
+    const wheelGeo = new THREE.CylinderGeometry(radius, radius, 0.1, 32);
+    wheelGeo.rotateX(Math.PI / 2);
+    const wheel = new THREE.Mesh(wheelGeo, material("material"));
+    applyTransform(wheel, part);
+    wheel.castShadow = true;
+    root.add(wheel);
+
+    // rope over the top of the wheel
+    const arcGeo = new THREE.TorusGeometry(radius, ROPE_RADIUS, 6, 24, Math.PI);
+    wheel.add(new THREE.Mesh(arcGeo, material("ropeMaterial")));
+
+    const bucket = new THREE.Object3D();
+    bucket.name = `${part.id}Bucket`;
+    root.add(bucket);
+    bucketBoxes([bw, bh, bd]).forEach(({ size, center }) => {
+      const wall = new THREE.Mesh(new THREE.BoxGeometry(...size), material("material"));
+      wall.position.fromArray(center);
+      wall.castShadow = true;
+      wall.receiveShadow = true;
+      bucket.add(wall);
+    });
+
+    const weightGeo = new THREE.BoxGeometry(ww, wh, wd);
+    weightGeo.translate(0, -wh / 2, 0);
+    const weight = new THREE.Mesh(weightGeo, material("weightMaterial"));
+    weight.name = `${part.id}Weight`;
+    weight.castShadow = true;
+    root.add(weight);
+
+    // one side of the rope: a unit length hanging from its origin, which
+    // the animation stretches from the wheel down to its end
+    const ropeGeo = new THREE.CylinderGeometry(ROPE_RADIUS, ROPE_RADIUS, 1, 6);
+    ropeGeo.translate(0, -0.5, 0);
+    const side = () => {
+      const rope = new THREE.Mesh(ropeGeo, material("ropeMaterial"));
+      root.add(rope);
+      return rope;
+    };
+
+    return {
+      root,
+      wheel,
+      elements: [
+        { pivot: bucket, rope: side() },
+        { pivot: weight, rope: side() },
+      ],
+    };
+  },
+
+  createBodies(part, pose) {
+    const anchors = anchorsOf(part, pose);
+    const rope = {
+      length: part.length,
+      minLength: part.minLength ?? DEFAULT_MIN_LENGTH,
+      taut: true,
+      ends: null,
+    };
+    const [ww, wh, wd] = part.weightSize || DEFAULT_WEIGHT;
+
+    const bucket = new Body({ id: `${part.id}.0`, type: part.type, mass: part.bucketMass ?? 0.3, ...pose });
+    bucketBoxes(part.bucketSize || DEFAULT_BUCKET).forEach(({ size, center }) => {
+      bucket.addShape(BoxShape.fromSize(size, new THREE.Matrix4().makeTranslation(...center)));
+    });
+    const weight = new Body({ id: `${part.id}.1`, type: part.type, mass: part.weightMass ?? 0.5, ...pose })
+      .addShape(BoxShape.fromSize([ww, wh, wd], new THREE.Matrix4().makeTranslation(0, -wh / 2, 0)));
+
+    rope.ends = [bucket, weight];
+    rope.ends.forEach((end, i) => Object.assign(end, { anchor: anchors[i], rope, ...surfaceOf(part) }));
+    hang(rope.ends, part);
+    return rope.ends;
+  },
+
+  // the wheel moves, the ends keep the rope length they have on each side
+  placeBodies(ends, part, pose) {
+    const anchors = anchorsOf(part, pose);
+    ends.forEach((end, i) => {
+      const side = end.position.distanceTo(end.anchor);
+      end.anchor.copy(anchors[i]);
+      end.position.copy(end.anchor).addScaledVector(_down, side);
+      end.quaternion.copy(pose.quaternion);
+      end.updateMatrix();
+    });
+  },
+
+  reset(ends, part) {
+    hang(ends, part);
+  },
+
+  count() {
+    return 2;
+  },
+
+  resize(part, scale) {
+    if (part.radius !== undefined) part.radius *= scale[0];
+    part.length *= scale[1];
+    if (part.bucketDrop !== undefined) part.bucketDrop *= scale[1];
+  },
+};
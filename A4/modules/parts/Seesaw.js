@@ -0,0 +1,101 @@
+// Seesaw.js
+// Lever: a plank on a revolute hinge at the top of a fixed fulcrum. A ball
+// landing on one end tips it, and the other end throws up whatever rests
+// on it (see AnimationSystem._updateLevers). The hinge is the part's
+// position; the plank lies on it along the local X axis and turns about
+// the local Z axis, between -maxAngle and +maxAngle (positive lifts the +X
+// end). The body frame is the hinge, turned by `angle`.
+import * as THREE from "three";
+import { applyTransform, surfaceOf } from "../MachineDescription.js";
+import { BoxShape } from "../CollisionShapes.js";
+import Body from "../Body.js";
+
+const DEFAULT_MAX_ANGLE = 0.3; // rad
+const DEFAULT_FULCRUM_HEIGHT = 0.5;
+
+export default {
+  type: "seesaw",
+  behaviour: "lever",
+  layer: "lever",
+  materials: { material: "woodTrack", fulcrumMaterial: "pendulumRod" },
+  fields: { size: 3, mass: 1, maxAngle: 1, initialAngle: 1, fulcrumHeight: 1 },
+
+  // the fulcrum stays put (base), the plank turns with the body (pivot)
+  build(parent, part, material) {
+    const [length, thickness, depth] = part.size;
+    const height = part.fulcrumHeight ?? DEFAULT_FULCRUM_HEIGHT;
+
+    const root = new THREE.Object3D();
+    root.name = `${part.id}Root`;
+    parent.add(root);
+
+    const base = new THREE.Object3D();
+    applyTransform(base, part);
+    base.name = `${part.id}Base`;
+    root.add(base);
+
+    // triangular prism, apex on the hinge
+    const triangle = new THREE.Shape();
+    triangle.moveTo(-height * 0.6, -height);
+    triangle.lineTo(height * 0.6, -height);
+    triangle.lineTo(0, 0);
+    const fulcrumGeo = new THREE.ExtrudeGeometry(triangle, { depth: depth * 0.6, bevelEnabled: false });
+    fulcrumGeo.translate(0, 0, -depth * 0.3);
+    const fulcrum = new THREE.Mesh(fulcrumGeo, material("fulcrumMaterial"));
+    fulcrum.castShadow = true;
+    base.add(fulcrum);
+
+    const pivot = new THREE.Object3D();
+    applyTransform(pivot, part);
+    pivot.name = `${part.id}Pivot`;
+    root.add(pivot);
+
+    const plankGeo = new THREE.BoxGeometry(length, thickness, depth);
+    plankGeo.translate(0, thickness / 2, 0); // resting on the hinge
+    const plank = new THREE.Mesh(plankGeo, material("material"));
+    plank.castShadow = true;
+    plank.receiveShadow = true;
+    pivot.add(plank);
+
+    return { root, base, pivot, plank, fulcrum };
+  },
+
+  createBodies(part, pose) {
+    const mass = part.mass ?? 1;
+    const [length, thickness, depth] = part.size;
+    const localBox = new THREE.Box3(
+      new THREE.Vector3(-length / 2, 0, -depth / 2),
+      new THREE.Vector3(length / 2, thickness, depth / 2)
+    );
+    const maxAngle = part.maxAngle ?? DEFAULT_MAX_ANGLE;
+
+    return Object.assign(new Body({ id: part.id, type: part.type, mass, ...pose }), {
+      baseQuaternion: pose.quaternion.clone(),
+      angle: 0,
+      angularVelocity: 0,
+      minAngle: -maxAngle,
+      maxAngle,
+      damping: part.damping ?? 0, // 1/s
+      // plank about its own centre, moved to the hinge (parallel axis theorem)
+      inertia: mass * ((length ** 2 + thickness ** 2) / 12 + (thickness / 2) ** 2),
+      localBox,
+      ...surfaceOf(part),
+    }).addShape(new BoxShape(localBox));
+  },
+
+  placeBodies(lever, part, pose) {
+    lever.position.copy(pose.position);
+    lever.baseQuaternion.copy(pose.quaternion);
+  },
+
+  // resting on one of its stops unless it says otherwise
+  reset(lever, part) {
+    lever.angle = part.initialAngle ?? lever.minAngle;
+    lever.angularVelocity = 0;
+  },
+
+  resize(part, scale) {
+    part.size = part.size.map((v, i) => v * scale[i]);
+    if (part.fulcrumHeight !== undefined) part.fulcrumHeight *= scale[1];
+  },
+};